@@ -21,21 +21,232 @@
  */
 const version = "0.0.6 yotis";
 
+//region Config
 /**
- * URL to the Repository with the Repository Variables that
- * are users' keys
- * @type {string}
+ * Defaults of the settings that can be changed with Environment
+ * Variables, to run a hub on GitHub Enterprise Server or on
+ * another repository.
+ * Redirects left null default to pages of the hub.
+ * @type {Object<string, string|null>}
  */
-const keys_url = "https://api.github.com/repos/Just-Some-Plugins/AutoRepo/actions/variables";
+const default_config = {
+    GitHub_API: "https://api.github.com",
+    GitHub_Web: "https://github.com",
+    Hub_Repo: "Just-Some-Plugins/AutoRepo",
+    Trigger_Issue: "1",
+    Redirect_Worker: "https://dash.cloudflare.com/63b1f563383cda4e40867831c23f90dd/workers/services/view/autorepo-worker/production",
+    Redirect_Pages: "https://dash.cloudflare.com/63b1f563383cda4e40867831c23f90dd/pages/view/autorepo-web",
+    Redirect_Trigger_Issue: null,
+    Redirect_Actions: null,
+    Redirect_Web: "https://github.com/Just-Some-Plugins/AutoRepo-Web",
+    Redirect_Root: "https://github.com/Just-Some-Plugins/AutoRepo-Worker",
+};
 
 /**
- * URL to the Issue to add a comment to in order to trigger a
- * build
- * @type {string}
+ * Settings built from each `env`, so they are only validated once
+ * per isolate
+ * @type {WeakMap<{}, {}>}
+ */
+const configs = new WeakMap();
+
+/**
+ * Method to get the worker's settings, from the Environment
+ * Variables or their defaults, with the URLs built from them
+ * @param env {{}} Environment Variables from worker request
+ * @returns {{problems: string[], api_url: string, web_url: string, hub_repo: string,
+ * keys_url: string, comment_url: string, issues_url: string, dispatch_url: string,
+ * workflows_url: string, redirects: Object<string, string>}} The settings, and
+ * anything wrong with them
+ */
+function worker_config(env) {
+    if (configs.has(env)) {
+        return configs.get(env);
+    }
+
+    let settings = {};
+    for (let name in default_config) {
+        settings[name] = env[name] || default_config[name];
+    }
+
+    // Validate the settings
+    let problems = [];
+    for (let name in settings) {
+        if (!name.startsWith("Redirect_") && name !== "GitHub_API" && name !== "GitHub_Web") {
+            continue;
+        }
+        if (settings[name] === null) {
+            continue;
+        }
+        try {
+            if (!["http:", "https:"].includes(new URL(settings[name]).protocol)) {
+                problems.push("`" + name + "` must be an http(s) URL");
+            }
+        } catch (e) {
+            problems.push("`" + name + "` must be an http(s) URL");
+        }
+    }
+    if (!/^[\w.-]+\/[\w.-]+$/.test(settings.Hub_Repo)) {
+        problems.push("`Hub_Repo` must be in the form `owner/repo`");
+    }
+    if (!/^[1-9]\d*$/.test(settings.Trigger_Issue)) {
+        problems.push("`Trigger_Issue` must be an issue number");
+    }
+
+    // Build the URLs
+    let api_url = settings.GitHub_API.replace(/\/+$/, '');
+    let web_url = settings.GitHub_Web.replace(/\/+$/, '');
+    let hub_url = api_url + "/repos/" + settings.Hub_Repo;
+    let config = {
+        problems: problems,
+        api_url: api_url,
+        web_url: web_url,
+        hub_repo: settings.Hub_Repo,
+        // Repository Variables that are users' keys
+        keys_url: hub_url + "/actions/variables",
+        // Issue to add a comment to in order to trigger a build
+        comment_url: hub_url + "/issues/" + settings.Trigger_Issue + "/comments",
+        // Issues to track the worker's configuration errors in
+        issues_url: hub_url + "/issues",
+        // `repository_dispatch` events that trigger a build
+        dispatch_url: hub_url + "/dispatches",
+        // Workflows to send `workflow_dispatch` events to
+        workflows_url: hub_url + "/actions/workflows",
+        // Where each path redirects to, with / for any unknown path
+        redirects: {
+            "/worker": settings.Redirect_Worker,
+            "/pages": settings.Redirect_Pages,
+            "/trigger-issue": settings.Redirect_Trigger_Issue
+                || web_url + "/" + settings.Hub_Repo + "/issues/" + settings.Trigger_Issue,
+            "/actions": settings.Redirect_Actions || web_url + "/" + settings.Hub_Repo,
+            "/web": settings.Redirect_Web,
+            "/": settings.Redirect_Root,
+        },
+    };
+
+    if (problems.length > 0) {
+        console.error("Invalid worker config: " + problems.join("; "));
+    }
+    configs.set(env, config);
+    return config;
+}
+
+//endregion
+
+//region Errors
+/**
+ * Every error the worker can reply with, keyed by its stable,
+ * machine-readable code, with the HTTP status and human message
+ * to send with it, whether it is a configuration error that
+ * should be reported to the tracking issue, and whether it should
+ * be sent to the Discord failures channel
+ * @type {Object<string, {status: number, message: string, report?: boolean, notify?: boolean}>}
+ */
+const errors = {
+    invalid_worker_config: {status: 500, message: "Invalid Worker Config"},
+    non_permissible_origin: {status: 403, message: "Non-Permissible Origin"},
+    malformed_payload: {status: 400, message: "Malformed Request Body"},
+    broken_github_secrets: {status: 502, message: "Broken GitHub Secrets", report: true, notify: true},
+    no_github_secrets: {status: 500, message: "No GitHub Secrets", report: true},
+    non_permissible_key: {status: 401, message: "Non-Permissible Key", notify: true},
+    no_permissible_repositories: {status: 500, message: "No Permissible Repositories", report: true},
+    non_permissible_repository: {status: 403, message: "Non-Permissible Repository", notify: true},
+    non_permissible_repository_for_key: {status: 403, message: "Non-Permissible Repository for Key", notify: true},
+    non_permissible_source_for_key: {status: 403, message: "Non-Permissible Source for Key", notify: true},
+    expired_key: {status: 403, message: "Expired Key", notify: true},
+    rate_limited: {status: 429, message: "Too Many Triggers", notify: true},
+    invalid_trigger_limits: {status: 500, message: "Invalid TRIGGER_LIMITS", report: true},
+    invalid_user_rules: {status: 500, message: "Invalid ALLOWED_REPOS_FOR_USERS", report: true},
+    invalid_comment_template: {status: 500, message: "Invalid COMMENT_TEMPLATE", report: true},
+    non_permissible_trigger: {status: 400, message: "Non-Permissible Trigger"},
+    unexpected_request_body: {status: 400, message: "Unexpected Request Body"},
+    no_branch_provided: {status: 400, message: "No Branch Provided"},
+    broken_github_comment: {status: 502, message: "Broken GitHub Comment", notify: true},
+    broken_github_dispatch: {status: 502, message: "Broken GitHub Dispatch", notify: true},
+    unknown_dispatch_backend: {status: 500, message: "Unknown Dispatch Backend", report: true},
+    invalid_repo_config: {status: 400, message: "Invalid Repository Config"},
+    broken_repo_config: {status: 502, message: "Broken Repository Config"},
+    inaccessible_source_repository: {status: 403, message: "Inaccessible Private Repository", notify: true},
+    broken_source_access: {status: 502, message: "Broken Source Access Check", notify: true},
+    duplicate_delivery: {status: 409, message: "Duplicate Delivery"},
+    non_permissible_admin: {status: 401, message: "Non-Permissible Admin Key"},
+    no_history: {status: 404, message: "No Trigger History"},
+    no_icon: {status: 404, message: "No Mirrored Icon"},
+    no_route: {status: 404, message: "Unknown Route"},
+    non_permissible_callback: {status: 401, message: "Non-Permissible Callback", notify: true},
+    malformed_callback: {status: 400, message: "Malformed Build Result"},
+    unknown_trigger: {status: 404, message: "Unknown Trigger"},
+    broken_commit_status: {status: 502, message: "Broken Commit Status", notify: true},
+    internal_error: {status: 500, message: "Internal Error"},
+};
+
+/**
+ * Upper limit on how much of an upstream error body is echoed back
+ * @type {number}
  */
-let comment_url = "https://api.github.com/repos/Just-Some-Plugins/AutoRepo/issues/1/comments";
+const error_details_limit = 1000;
+
+/**
+ * Method to build the JSON error Response for one of the errors
+ * above
+ * @param request {Request} The request from the worker
+ * @param code {string} The key of the error in `errors`
+ * @param details {*} Optional extra information, such as the
+ * text of a failed GitHub API response
+ * @returns {Response} The error Response, with the code also set
+ * in the `X-AutoRepo-Error` header
+ */
+function error_response(request, code, details = null) {
+    let error = errors[code];
+
+    // Keep upstream text to a sane length, JSON.stringify escapes it
+    if (typeof details === "string" && details.length > error_details_limit) {
+        details = details.slice(0, error_details_limit) + "…";
+    }
+
+    let body = {
+        error: error.message,
+        code: code,
+        delivery: get_delivery(request),
+    };
+    if (details !== null) {
+        body["details"] = details;
+    }
+
+    return new Response(JSON.stringify(body, null, 4), {
+        status: error.status,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-AutoRepo-Error': code,
+        },
+    });
+}
+
+/**
+ * Method to do work that must never affect the reply to a request,
+ * such as bookkeeping after a build was dispatched, or reporting
+ * what happened, logging it instead if it fails
+ * @param what {string} What the work does, for the log
+ * @param work {function(): Promise<void>} The work to do
+ * @returns {Promise<void>}
+ */
+async function without_failing(what, work) {
+    try {
+        await work();
+    } catch (e) {
+        console.error("Could not " + what + ":", e);
+    }
+}
+
+//endregion
 
 //region Worker restrictions
+/**
+ * Imported HMAC keys, by the secret they were imported from, kept
+ * in the isolate between requests
+ * @type {Map<string, CryptoKey>}
+ */
+const crypto_keys = new Map();
+
 /**
  * Method to verify the signature sent with the hook matches the secret
  * @param secret {string} to verify the signature against
@@ -51,15 +262,19 @@ async function verifySignature(secret, header, payload) {
 
     let algorithm = {name: "HMAC", hash: {name: 'SHA-256'}};
 
-    let keyBytes = encoder.encode(secret);
-    let extractable = false;
-    let key = await crypto.subtle.importKey(
-        "raw",
-        keyBytes,
-        algorithm,
-        extractable,
-        ["sign", "verify"],
-    );
+    let key = crypto_keys.get(secret);
+    if (key === undefined) {
+        let keyBytes = encoder.encode(secret);
+        let extractable = false;
+        key = await crypto.subtle.importKey(
+            "raw",
+            keyBytes,
+            algorithm,
+            extractable,
+            ["sign", "verify"],
+        );
+        crypto_keys.set(secret, key);
+    }
 
     let sigBytes = hexToBytes(sigHex);
     let dataBytes = encoder.encode(payload);
@@ -93,6 +308,311 @@ function hexToBytes(hex) {
 
 //endregion
 
+//region Providers
+/**
+ * Method to compare two strings in constant time, for secrets
+ * sent as they are
+ * @param a {string} The first string
+ * @param b {string} The second string
+ * @returns {boolean} Whether the strings are the same
+ */
+function timing_safe_equal(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+
+    return difference === 0;
+}
+
+/**
+ * Git ref that GitLab and Bitbucket use for the side of a push
+ * with no commit, ie a created or deleted branch or tag
+ * @type {string}
+ */
+const empty_commit = "0000000000000000000000000000000000000000";
+
+/**
+ * Method to normalize a GitLab hook into GitHub's event and
+ * payload shape
+ * @param headers {Headers} The headers of the request
+ * @param payload {{}} The parsed body of the request
+ * @returns {{event: string, payload: {}}} The GitHub-shaped hook
+ * @see https://docs.gitlab.com/ee/user/project/integrations/webhook_events.html
+ */
+function normalize_gitlab(headers, payload) {
+    let project = payload["project"] || {};
+    let normalized = {
+        repository: {
+            name: project["name"],
+            full_name: project["path_with_namespace"],
+            private: project["visibility_level"] !== 20,
+            owner: {login: (project["path_with_namespace"] || "").split('/')[0]},
+            html_url: project["web_url"],
+            default_branch: project["default_branch"],
+        },
+    };
+
+    let event = headers.get("x-gitlab-event");
+    let ref = (payload["ref"] || "").split('/').slice(2).join('/'); // trim "refs/heads/"
+    switch (event) {
+        case "Push Hook":
+            if (payload["after"] === empty_commit) {
+                return {event: "delete", payload: {...normalized, ref: ref, ref_type: "branch"}};
+            }
+            return {
+                event: "push",
+                payload: {
+                    ...normalized,
+                    ref: payload["ref"],
+                    after: payload["checkout_sha"] || payload["after"],
+                    commits: (payload["commits"] || []).map(commit => ({
+                        id: commit["id"],
+                        message: commit["message"],
+                        url: commit["url"],
+                        author: {name: (commit["author"] || {})["name"]},
+                    })),
+                },
+            };
+        case "Tag Push Hook":
+            return {
+                event: payload["after"] === empty_commit ? "delete" : "create",
+                payload: {...normalized, ref: ref, ref_type: "tag"},
+            };
+        case "Release Hook":
+            return {
+                event: "release",
+                payload: {
+                    ...normalized,
+                    action: payload["action"] === "create" ? "published" : payload["action"],
+                    release: {tag_name: payload["tag"]},
+                },
+            };
+        default:
+            return {event: event, payload: normalized};
+    }
+}
+
+/**
+ * Method to normalize a Gitea or Forgejo hook into GitHub's event
+ * and payload shape, which they mostly share already
+ * @param headers {Headers} The headers of the request
+ * @param payload {{}} The parsed body of the request
+ * @returns {{event: string, payload: {}}} The GitHub-shaped hook
+ * @see https://docs.gitea.com/usage/webhooks
+ */
+function normalize_gitea(headers, payload) {
+    let repository = payload["repository"];
+    if (repository && repository["owner"] && !repository["owner"]["login"]) {
+        repository["owner"]["login"] = repository["owner"]["username"];
+    }
+
+    return {
+        event: headers.get("x-gitea-event") || headers.get("x-forgejo-event"),
+        payload: payload,
+    };
+}
+
+/**
+ * Method to check that a Bitbucket push has the fields it is
+ * normalized from, in the types they are read as
+ * @param payload {{}} The parsed body of the request
+ * @returns {string[]} Problems with the push, if any
+ * @see https://support.atlassian.com/bitbucket-cloud/docs/event-payloads/#Push
+ */
+function get_bitbucket_push_problems(payload) {
+    let is_object = value => typeof value === "object" && value !== null && !Array.isArray(value);
+    let is_ref = ref => is_object(ref) && typeof ref["name"] === "string" && typeof ref["type"] === "string";
+
+    let push = payload["push"];
+    if (!is_object(push) || !Array.isArray(push["changes"])) {
+        return ["`push` must be the push, with its `changes`"];
+    }
+    // Only the first change is read
+    let change = push["changes"][0];
+    if (change === undefined) {
+        return [];
+    }
+    if (!is_object(change) || !(change["new"] === null ? is_ref(change["old"]) : is_ref(change["new"]))) {
+        return ["`push.changes` must be the changed refs, with the `name` and `type` of each"];
+    }
+    if ("commits" in change && (!Array.isArray(change["commits"]) || !change["commits"].every(is_object))) {
+        return ["`push.changes[0].commits` must be a list of the pushed commits"];
+    }
+
+    return [];
+}
+
+/**
+ * Method to normalize a Bitbucket hook into GitHub's event and
+ * payload shape
+ * @param headers {Headers} The headers of the request
+ * @param payload {{}} The parsed body of the request
+ * @returns {{event: string, payload: {}, problems?: string[]}} The
+ * GitHub-shaped hook, with the problems of a malformed push
+ * @see https://support.atlassian.com/bitbucket-cloud/docs/event-payloads/
+ */
+function normalize_bitbucket(headers, payload) {
+    let repository = payload["repository"] || {};
+    let owner = repository["owner"] || {};
+    let normalized = {
+        repository: {
+            name: repository["name"],
+            full_name: repository["full_name"],
+            private: repository["is_private"],
+            owner: {login: owner["username"] || owner["nickname"] || (repository["full_name"] || "").split('/')[0]},
+            html_url: ((repository["links"] || {})["html"] || {})["href"],
+            default_branch: (repository["mainbranch"] || {})["name"],
+        },
+    };
+
+    let event = headers.get("x-event-key");
+    if (event !== "repo:push") {
+        return {event: event, payload: normalized};
+    }
+    // Reported like GitHub's payload problems, once the hook is known
+    // to be signed
+    let problems = get_bitbucket_push_problems(payload);
+    if (problems.length > 0) {
+        return {event: "push", payload: normalized, problems: problems};
+    }
+    if (!payload["push"]["changes"].length) {
+        return {event: event, payload: normalized};
+    }
+
+    let change = payload["push"]["changes"][0];
+    if (change["new"] === null) {
+        return {
+            event: "delete",
+            payload: {...normalized, ref: change["old"]["name"], ref_type: change["old"]["type"]},
+        };
+    }
+    if (change["new"]["type"] === "tag") {
+        return {event: "create", payload: {...normalized, ref: change["new"]["name"], ref_type: "tag"}};
+    }
+    return {
+        event: "push",
+        payload: {
+            ...normalized,
+            ref: "refs/heads/" + change["new"]["name"],
+            after: (change["new"]["target"] || {})["hash"],
+            // Bitbucket lists commits newest first, GitHub oldest first
+            commits: (change["commits"] || []).slice().reverse().map(commit => ({
+                id: commit["hash"],
+                message: commit["message"],
+                url: ((commit["links"] || {})["html"] || {})["href"],
+                author: {name: ((commit["author"] || {})["user"] || {})["display_name"]
+                        || (commit["author"] || {})["raw"]},
+            })),
+        },
+    };
+}
+
+/**
+ * Hosts that hooks are accepted from, with how to detect them,
+ * find their delivery ID, verify their signature with a key,
+ * normalize their payload into GitHub's shape, and link to a
+ * branch or commit in their repositories.
+ * Gitea is checked before GitHub, as it also sends GitHub's
+ * headers.
+ * @type {Object<string, {detect: function(Headers): boolean, delivery: function(Headers): string,
+ * verify: function(string, Headers, string): Promise<boolean>, normalize: function(Headers, {}): {},
+ * tree: string, commit: string}>}
+ */
+const providers = {
+    gitea: {
+        detect: headers => !!(headers.get("x-gitea-event") || headers.get("x-forgejo-event"))
+            && !!(headers.get("x-gitea-delivery") || headers.get("x-forgejo-delivery"))
+            && !!(headers.get("x-gitea-signature") || headers.get("x-forgejo-signature")),
+        delivery: headers => headers.get("x-gitea-delivery") || headers.get("x-forgejo-delivery"),
+        verify: (secret, headers, payload) => verifySignature(
+            secret,
+            "sha256=" + (headers.get("x-gitea-signature") || headers.get("x-forgejo-signature")),
+            payload
+        ),
+        normalize: normalize_gitea,
+        tree: "/src/branch/",
+        commit: "/commit/",
+    },
+    github: {
+        detect: headers => (headers.get("user-agent") || "").startsWith("GitHub-Hookshot")
+            && !!headers.get("x-github-event")
+            && !!headers.get("x-github-delivery")
+            && (headers.get("x-hub-signature-256") || "").startsWith("sha256="),
+        delivery: headers => headers.get("x-github-delivery"),
+        verify: (secret, headers, payload) => verifySignature(
+            secret,
+            headers.get("x-hub-signature-256"),
+            payload
+        ),
+        normalize: (headers, payload) => ({event: headers.get("x-github-event"), payload: payload}),
+        tree: "/tree/",
+        commit: "/commit/",
+    },
+    gitlab: {
+        detect: headers => !!headers.get("x-gitlab-event")
+            && !!headers.get("x-gitlab-event-uuid")
+            && !!headers.get("x-gitlab-token"),
+        delivery: headers => headers.get("x-gitlab-event-uuid"),
+        verify: async (secret, headers) => timing_safe_equal(headers.get("x-gitlab-token"), secret),
+        normalize: normalize_gitlab,
+        tree: "/-/tree/",
+        commit: "/-/commit/",
+    },
+    bitbucket: {
+        detect: headers => !!headers.get("x-event-key")
+            && !!headers.get("x-request-uuid")
+            && (headers.get("x-hub-signature") || "").startsWith("sha256="),
+        delivery: headers => headers.get("x-request-uuid"),
+        verify: (secret, headers, payload) => verifySignature(
+            secret,
+            headers.get("x-hub-signature"),
+            payload
+        ),
+        normalize: normalize_bitbucket,
+        tree: "/src/",
+        commit: "/commits/",
+    },
+};
+
+/**
+ * Method to find which host a hook was sent from
+ * @param request {Request} The request from the worker
+ * @returns {string|null} The key of the host in `providers`, or
+ * null if it is not from any of them
+ */
+function get_provider(request) {
+    for (let provider in providers) {
+        if (providers[provider].detect(request.headers)) {
+            return provider;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Method to get the ID of a hook's delivery, from whichever host
+ * sent it
+ * @param request {Request} The request from the worker
+ * @returns {string|null} The delivery ID, if there is one
+ */
+function get_delivery(request) {
+    let provider = get_provider(request);
+    if (provider === null) {
+        // Callbacks and /api/trigger, with an optional Idempotency-Key
+        return request.headers.get("x-github-delivery") || request.headers.get("idempotency-key");
+    }
+
+    return providers[provider].delivery(request.headers);
+}
+
+//endregion
+
 /**
  * Method to treat URL after the TLD as a `/`-separated list,
  * and break it apart
@@ -108,8 +628,8 @@ function get_url_parts(inputString) {
     // Split the string by forward slashes
     const parts = cleanedString.split('/');
 
-    // Find the index of "trigger"
-    const triggerIndex = parts.indexOf('trigger');
+    // Find the index of "trigger" (or "validate", for dry runs)
+    const triggerIndex = parts.findIndex(part => part === 'trigger' || part === 'validate');
 
     if (triggerIndex !== -1 && triggerIndex < parts.length - 1) {
         // Get non-empty values after "trigger"
@@ -119,28 +639,227 @@ function get_url_parts(inputString) {
     }
 }
 
+/**
+ * Method to build the headers for a request to GitHub's API
+ * @param token {string} The PAT to authorize the request with
+ * @returns {{}} The headers to use for the request
+ */
+function github_headers(token) {
+    return {
+        'User-Agent': 'AutoRepo-Worker',
+        'Accept': 'application/vnd.github+json',
+        'Authorization': 'Bearer ' + token,
+        'X-GitHub-Api-Version': '2022-11-28',
+    };
+}
+
+//region Logging
+/**
+ * The log of each request being handled, for the GitHub API calls
+ * made while handling it to be added to
+ * @type {WeakMap<Request, {}>}
+ */
+const request_logs = new WeakMap();
+
+/**
+ * Method to start the structured log of a request
+ * @param request {Request} The request from the worker
+ * @returns {{}} The log, which is written by write_request_log()
+ */
+function start_request_log(request) {
+    let log = {
+        time: new Date().toISOString(),
+        request_id: crypto.randomUUID(),
+        method: request.method,
+        path: new URL(request.url).pathname,
+        started: Date.now(),
+        context: null,
+        error: null,
+        github_calls: [],
+    };
+    request_logs.set(request, log);
+
+    return log;
+}
+
+/**
+ * Method to call GitHub's API, timing the call in the log of the
+ * request it is made for
+ * @param github_request {Request} The request to GitHub's API
+ * @param request {Request} The request from the worker, if the
+ * call is made while handling one
+ * @returns {Promise<Response>} GitHub's response
+ */
+async function github_fetch(github_request, request) {
+    let log = request ? request_logs.get(request) : undefined;
+    let started = Date.now();
+    let status = null;
+
+    try {
+        let response = await fetch(github_request);
+        status = response.status;
+        return response;
+    } finally {
+        if (log !== undefined) {
+            log.github_calls.push({
+                method: github_request.method,
+                path: new URL(github_request.url).pathname,
+                status: status,
+                ms: Date.now() - started,
+            });
+        }
+    }
+}
+
+/**
+ * Method to describe how a request was handled, for logs, metrics
+ * and history
+ * @param response {Response} The Response to the request
+ * @param context {{}|null} What handle_trigger() learned about the
+ * request, if it was a trigger
+ * @returns {string} The outcome
+ */
+function get_outcome(response, context) {
+    if (response.headers.get("X-AutoRepo-Error") !== null) {
+        return "rejected";
+    }
+    if (context === null) {
+        return response.status >= 300 && response.status < 400 ? "redirected" : "served";
+    }
+    if (context.queued) {
+        return "queued";
+    }
+    if (context.dry_run) {
+        return "dry_run";
+    }
+
+    return context.trigger !== null ? "accepted" : "ignored";
+}
+
+/**
+ * Method to finish the structured log of a request and write it
+ * as one line of JSON
+ * @param log {{}} Output from start_request_log()
+ * @param response {Response} The Response to the request
+ * @param request {Request} The request from the worker
+ * @returns {void}
+ */
+function write_request_log(log, response, request) {
+    let context = log.context;
+    let trigger_data = context !== null ? context.trigger : null;
+    let entry = {
+        time: log.time,
+        request_id: log.request_id,
+        method: log.method,
+        path: log.path,
+        status: response.status,
+        outcome: get_outcome(response, context),
+        code: response.headers.get("X-AutoRepo-Error"),
+        delivery: get_delivery(request),
+        provider: context !== null && context.hook !== null ? context.hook.provider : null,
+        event: context !== null && context.hook !== null ? context.hook.event : null,
+        key_owner: context !== null ? context.key_owner : null,
+        targets: trigger_data !== null ? trigger_data.target_repo : null,
+        source: trigger_data !== null ? trigger_data.code_repo + ":" + trigger_data.code_branch : null,
+        ms: Date.now() - log.started,
+        error: log.error,
+        github_calls: log.github_calls,
+    };
+
+    if (entry.status >= 500) {
+        console.error(JSON.stringify(entry));
+    } else {
+        console.log(JSON.stringify(entry));
+    }
+}
+
+//endregion
+
 //region Key restrictions
+/**
+ * Keys parsed from AutoRepo's Variables, with the ETag and time
+ * they were fetched at, kept in the isolate between requests and
+ * shared with other isolates through `AutoRepo_Store`
+ * @type {{keys: {}|null, etag: string|null, fetched: number}}
+ */
+let keys_cache = {keys: null, etag: null, fetched: 0};
+
+/**
+ * Default number of seconds the Keys are used for before being
+ * revalidated, if `Keys_Cache_TTL` is not set
+ * @type {number}
+ */
+const default_keys_ttl = 300;
+
+/**
+ * Number of seconds the Keys must be cached for before a hook
+ * that matches none of them causes them to be refreshed, in case
+ * its key was only just added
+ * @type {number}
+ */
+const keys_retry_after = 60;
+
 /**
  * Method to get all the currently allowable keys from the Repository Variables on
- * AutoRepo
+ * AutoRepo, from the cache if it is fresh enough.
+ * If GitHub's API fails or cannot be reached, the last-known-good
+ * Keys are used.
  * @param env Environment Variables from worker request
+ * @param request {Request} The request from the worker
+ * @param refresh {boolean} Whether to revalidate the cache even
+ * if it is still fresh
  * @returns {Promise<Response|{}>} awaited error Response or object of keys
  */
-async function get_allowed_keys(env) {
+async function get_allowed_keys(env, request, refresh = false) {
+    let ttl = parseInt(env.Keys_Cache_TTL);
+    ttl = (isNaN(ttl) ? default_keys_ttl : ttl) * 1000;
+
+    // Fill a new isolate's cache from the one shared between them
+    if (keys_cache.keys === null && env.AutoRepo_Store) {
+        let stored = await env.AutoRepo_Store.get("keys", {type: "json"});
+        if (stored !== null) {
+            keys_cache = stored;
+        }
+    }
+
+    if (!refresh && keys_cache.keys !== null && Date.now() - keys_cache.fetched < ttl) {
+        return keys_cache.keys;
+    }
+
     // Get valid Keys from AutoRepo's Variables
-    let keys_request = new Request(keys_url, {
+    let headers = github_headers(env.Read_Keys);
+    if (keys_cache.keys !== null && keys_cache.etag !== null) {
+        headers['If-None-Match'] = keys_cache.etag;
+    }
+    let keys_request = new Request(worker_config(env).keys_url, {
         method: 'GET',
-        headers: {
-            'User-Agent': 'AutoRepo-Worker',
-            'Accept': 'application/vnd.github+json',
-            'Authorization': 'Bearer ' + env.Read_Keys,
-            'X-GitHub-Api-Version': '2022-11-28',
-        }
+        headers: headers
     });
-    let keys_response = await fetch(keys_request);
+    let keys_response;
+    try {
+        keys_response = await github_fetch(keys_request, request);
+    } catch (e) {
+        if (keys_cache.keys !== null) {
+            console.warn("Using last-known-good keys, GitHub could not be reached: " + e.message);
+            return keys_cache.keys;
+        }
+        return error_response(request, "broken_github_secrets", e.message);
+    }
+
+    // Keys are unchanged
+    if (keys_response.status === 304) {
+        keys_cache.fetched = Date.now();
+        await store_keys_cache(env);
+        return keys_cache.keys;
+    }
+
     if (keys_response.status !== 200) {
-        // todo: report as a github bot error
-        return new Response("{'error': 'Broken GitHub Secrets', 'errorDetails': '" + await keys_response.text() + "'}");
+        let details = await keys_response.text();
+        if (keys_cache.keys !== null) {
+            console.warn("Using last-known-good keys, GitHub replied: " + details);
+            return keys_cache.keys;
+        }
+        return error_response(request, "broken_github_secrets", details);
     }
 
     // Parse the Keys from the Repository Variables
@@ -154,37 +873,91 @@ async function get_allowed_keys(env) {
     }
 
     if (Object.keys(keys).length === 0) {
-        // todo: report as a github bot error
-        return new Response("{'error': 'No GitHub Secrets'}");
+        return error_response(request, "no_github_secrets");
     }
 
+    // Cache the new Keys, and forget HMAC keys that may be rotated out
+    keys_cache = {keys: keys, etag: keys_response.headers.get("ETag"), fetched: Date.now()};
+    crypto_keys.clear();
+    await store_keys_cache(env);
+
     return keys;
 }
 
+/**
+ * Method to share the isolate's cache of Keys with other isolates
+ * @param env Environment Variables from worker request
+ * @returns {Promise<void>}
+ */
+async function store_keys_cache(env) {
+    if (!env.AutoRepo_Store) {
+        return;
+    }
+
+    await env.AutoRepo_Store.put("keys", JSON.stringify(keys_cache));
+}
+
+/**
+ * Method to refresh the cached Keys after they are rotated, for
+ * POSTs to /keys/refresh with the `Admin_Key` as a bearer token.
+ * Other isolates pick up the refreshed Keys once their own cache
+ * expires.
+ * @param request {Request} The request from the worker
+ * @param env Environment Variables from worker request
+ * @returns {Promise<Response>} error Response or a summary of the
+ * refreshed Keys
+ */
+async function refresh_keys(request, env) {
+    if (!env.Admin_Key || request.headers.get("Authorization") !== "Bearer " + env.Admin_Key) {
+        return error_response(request, "non_permissible_admin");
+    }
+
+    keys_cache = {keys: null, etag: null, fetched: 0};
+    crypto_keys.clear();
+    let keys = await get_allowed_keys(env, request, true);
+    if (keys instanceof Response) {
+        return keys;
+    }
+
+    return new Response(JSON.stringify({
+        keys: Object.keys(keys).length,
+        fetched: new Date(keys_cache.fetched).toISOString(),
+    }, null, 4), {headers: {'Content-Type': 'application/json'}});
+}
+
+/**
+ * Repository Variables that configure the worker, rather than
+ * being keys
+ * @type {string[]}
+ */
+const meta_variables = ["allowed_repos", "allowed_repos_for_users", "trigger_limits", "comment_template"];
+
 /**
  * Method to verify the key used in the request is one of the
  * valid keys
  * @param keys {{}} The keys from the AutoRepo repository,
  * from get_allowed_keys()
  * @param request {Request} The request from the worker
- * @param payload {string} The body of the request from GitHub
+ * @param payload {string} The raw body of the request
+ * @param provider {string} The host the hook is from, from
+ * get_provider()
  * @returns {Promise<Response|string>} error Response or used
  * key's name
  */
-async function verify_key(keys, request, payload) {
+async function verify_key(keys, request, payload, provider) {
     for (let key in keys) {
         let name = key; // key's name
         key = keys[key]; // actual key
 
         // Skip meta variables
-        if (key === "ALLOWED_REPOS" || key === "ALLOWED_REPOS_FOR_USERS") {
+        if (meta_variables.includes(name.toLowerCase())) {
             continue;
         }
 
         // Try to verify this key
-        let verified = await verifySignature(
+        let verified = await providers[provider].verify(
             key,
-            request.headers.get("x-hub-signature-256"),
+            request.headers,
             payload
         );
         // Save it if it passes
@@ -193,7 +966,7 @@ async function verify_key(keys, request, payload) {
         }
     }
 
-    return new Response("{'error': 'Non-Permissible Key'}");
+    return error_response(request, "non_permissible_key");
 }
 
 //endregion
@@ -214,7 +987,7 @@ function get_allowed_repos(keys) {
         if (name === "allowed_repos") {
             allowed_repos = (repos.split(',')).map(
                 part => part.replace(/(\r\n|\n|\r)/gm, "").trim()
-            );
+            ).filter(part => part !== '');
         }
     }
 
@@ -226,16 +999,16 @@ function get_allowed_repos(keys) {
  * parts of the URL
  * @param url_parts {*[]} The URL parts after the TLD
  * @param keys {{}} Output from get_allowed_keys()
+ * @param request {Request} The request from the worker
  * @returns {Response|boolean} an error Response or boolean
  * of whether the repo is allowed
  */
-function repo_allowed(url_parts, keys) {
+function repo_allowed(url_parts, keys, request) {
     let allowed_repos = get_allowed_repos(keys);
 
     // Report on now Allowed Repos
     if (allowed_repos.length === 0) {
-        // todo: report as a github bot error
-        return new Response("{'error': 'No Permissible Repositories'}");
+        return error_response(request, "no_permissible_repositories");
     }
 
     // Check each part against allowedRepos
@@ -249,361 +1022,3301 @@ function repo_allowed(url_parts, keys) {
 }
 
 /**
- * Method to check if the repository is allowed for the key
- * @param url_parts {*[]} The URL parts after the TLD
- * @param used_key {string} The owner of the key that was used
+ * Options that can follow a user's repos in ALLOWED_REPOS_FOR_USERS,
+ * after a `;`
+ * @type {string[]}
+ */
+const user_rule_options = ["source", "branch", "expires"];
+
+/**
+ * Method to parse ALLOWED_REPOS_FOR_USERS into a rule for each key
+ * owner or key.
+ * Each line is `<owner or key>: <repos>[; <option>=<values>...]`,
+ * where `<repos>` is `*`, `-`, or a comma-separated list that can
+ * deny repos with a leading `!`, and the options are `source` and
+ * `branch` (comma-separated, `*` wildcards) and `expires` (a date).
  * @param keys {{}} Output from get_allowed_keys()
- * @returns {boolean} Whether the repo is allowed for the key
+ * @returns {{rules: Object<string, {}>, problems: string[]}} The
+ * rules by lowercase owner or key name, and any malformed lines
  */
-function repo_allowed_for_key(url_parts, used_key, keys) {
-    used_key = used_key.toLowerCase();
-    let allowed_repos = get_allowed_repos(keys);
+function get_user_rules(keys) {
+    let rules = {};
+    let problems = [];
 
-    // Get the allowed repos for the used key
-    let allowed_repos_for_key = [];
     for (let key in keys) {
-        let variable_name = key.toLowerCase();
-        let variable_value = keys[key];
-
-        // Find the allowed repos for each key
-        if (variable_name === "allowed_repos_for_users") {
-            // Split the repos into an array for each key
-            let values = variable_value.split('\n');
-            for (let value in values) {
-                value = values[value].toLowerCase();
-                let user_parts = value.split(':');
-
-                // Get the key owner name
-                let user_name = user_parts[0].replace(/(\r\n|\n|\r)/gm, "").trim();
-
-                // Skip other keys
-                if (user_name !== used_key.split('__')[0]) {
+        if (key.toLowerCase() !== "allowed_repos_for_users") {
+            continue;
+        }
+
+        // Split the repos into an array for each key
+        let values = keys[key].split('\n');
+        for (let index in values) {
+            let value = values[index].replace(/(\r\n|\n|\r)/gm, "").trim();
+            let line = "Line " + (parseInt(index) + 1) + " (`" + value + "`)";
+            if (value === "") {
+                continue;
+            }
+
+            let user_parts = value.split(':');
+            let user_name = user_parts[0].trim().toLowerCase();
+            if (user_parts.length < 2 || user_name === "") {
+                problems.push(line + " must be `<owner or key>: <repos>`");
+                continue;
+            }
+
+            // Get the allowed and denied repos for the key owner
+            let options = user_parts.slice(1).join(':').split(';');
+            let rule = {targets: [], all_targets: false, deny: [], sources: null, branches: null, expires: null};
+            for (let part of options[0].toLowerCase().split(',').map(part => part.trim())) {
+                if (part === "*") {
+                    rule.all_targets = true;
+                } else if (part.startsWith("!") && part.length > 1) {
+                    rule.deny.push(part.slice(1).trim());
+                } else if (part !== "-" && part !== "") {
+                    rule.targets.push(part);
+                }
+            }
+
+            // Get the options for the key owner
+            for (let option of options.slice(1)) {
+                let option_parts = option.split('=');
+                let option_name = option_parts[0].trim().toLowerCase();
+                let option_value = option_parts.slice(1).join('=').trim();
+                if (!user_rule_options.includes(option_name) || option_value === "") {
+                    problems.push(line + " has an unknown or empty option `" + option.trim()
+                        + "`, expected one of: " + user_rule_options.join(', '));
                     continue;
                 }
 
-                // Get the allowed repos for the key owner
-                let user_allowances = user_parts[1].trim();
-                let user_allowed_repos = [];
-                if (user_allowances === "-") {
-                    user_allowed_repos = [];
-                } else if (user_allowances === "*") {
-                    user_allowed_repos = allowed_repos;
+                if (option_name === "expires") {
+                    rule.expires = new Date(option_value);
+                    if (isNaN(rule.expires.getTime())) {
+                        problems.push(line + " has an `expires` that is not a date, eg `2025-12-31`");
+                    }
                 } else {
-                    user_allowed_repos = user_allowances.split(',')
-                                                        .map(part => part.trim());
+                    rule[option_name === "source" ? "sources" : "branches"] = option_value
+                        .split(',').map(part => part.trim()).filter(part => part !== '');
                 }
-
-                allowed_repos_for_key = user_allowed_repos;
             }
-        }
-    }
 
-    // Check each part against allowed_repos_for_key
-    let all_parts_allowed = true;
-    for (const part of url_parts)
-        if (!allowed_repos_for_key.includes(part)) {
-            all_parts_allowed = false;
+            rules[user_name] = rule;
         }
+    }
 
-    return all_parts_allowed;
+    return {rules: rules, problems: problems};
 }
 
-//endregion
+/**
+ * Method to check a value against `*` wildcard patterns
+ * @param value {string} The value to check
+ * @param patterns {string[]} The patterns to check against
+ * @returns {boolean} Whether any pattern matches
+ */
+function matches_pattern(value, patterns) {
+    return patterns.some(pattern => new RegExp(
+        "^" + pattern.split('*')
+                     .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+                     .join('.*') + "$",
+        "i"
+    ).test(value));
+}
+
+/**
+ * Method to get the rule for the key that was used, preferring a
+ * rule for the key itself (eg `zbee__fork`) over one for its owner
+ * @param used_key {string} The name of the key that was used
+ * @param keys {{}} Output from get_allowed_keys()
+ * @param request {Request} The request from the worker
+ * @returns {Response|{}|null} an error Response, the rule, or null
+ * if there is no rule for the key
+ */
+function get_rule_for_key(used_key, keys, request) {
+    used_key = used_key.toLowerCase();
+    let user_rules = get_user_rules(keys);
+    if (user_rules.problems.length > 0) {
+        return error_response(request, "invalid_user_rules", user_rules.problems);
+    }
+
+    let rule = user_rules.rules[used_key] || user_rules.rules[used_key.split('__')[0]] || null;
+    if (rule !== null && rule.expires !== null && rule.expires.getTime() < Date.now()) {
+        return error_response(request, "expired_key", {
+            key: used_key,
+            expired: rule.expires.toISOString(),
+        });
+    }
+
+    return rule;
+}
+
+/**
+ * Method to check if the repository is allowed for the key
+ * @param url_parts {*[]} The URL parts after the TLD
+ * @param used_key {string} The owner of the key that was used
+ * @param keys {{}} Output from get_allowed_keys()
+ * @param request {Request} The request from the worker
+ * @returns {Response|boolean} an error Response or whether the
+ * repo is allowed for the key
+ */
+function repo_allowed_for_key(url_parts, used_key, keys, request) {
+    let rule = get_rule_for_key(used_key, keys, request);
+    if (rule instanceof Response) {
+        return rule;
+    }
+    if (rule === null) {
+        return false;
+    }
+
+    // Get the allowed repos for the used key
+    let allowed_repos_for_key = rule.all_targets ? get_allowed_repos(keys) : rule.targets;
+
+    // Check each part against allowed_repos_for_key
+    let all_parts_allowed = true;
+    for (const part of url_parts)
+        if (!allowed_repos_for_key.includes(part) || rule.deny.includes(part)) {
+            all_parts_allowed = false;
+        }
+
+    return all_parts_allowed;
+}
+
+/**
+ * Method to check if the source repository and branch being built
+ * are allowed for the key, by its `source` and `branch` options
+ * @param trigger_data {{}} The trigger data from parse_trigger()
+ * @param used_key {string} The owner of the key that was used
+ * @param keys {{}} Output from get_allowed_keys()
+ * @param request {Request} The request from the worker
+ * @returns {Response|boolean} an error Response or true
+ */
+function source_allowed_for_key(trigger_data, used_key, keys, request) {
+    let rule = get_rule_for_key(used_key, keys, request);
+    if (rule instanceof Response) {
+        return rule;
+    }
+
+    let source_allowed = rule !== null && (rule.sources === null
+        || matches_pattern(trigger_data.code_repo, rule.sources));
+    let branch_allowed = rule !== null && (rule.branches === null
+        || matches_pattern(trigger_data.code_branch, rule.branches));
+    if (!source_allowed || !branch_allowed) {
+        return error_response(request, "non_permissible_source_for_key", {
+            key: used_key,
+            source: trigger_data.code_repo,
+            branch: trigger_data.code_branch,
+        });
+    }
+
+    return true;
+}
+
+//endregion
+
+//region Replay protection
+/**
+ * Default number of seconds a delivery is remembered for, if
+ * `Delivery_Retention` is not set
+ * @type {number}
+ */
+const default_delivery_retention = 60 * 60 * 24 * 7;
+
+/**
+ * Method to get a digest of a hook's verified body, so a captured
+ * payload cannot be replayed under a new delivery ID, which its
+ * signature does not cover
+ * @param payload {string} The raw body, after its signature was
+ * verified
+ * @returns {Promise<string>} The hex SHA-256 of the body
+ */
+async function get_payload_digest(payload) {
+    let digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(payload)));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * URL parameters that only change how a hook is handled, not what
+ * it triggers
+ * @type {string[]}
+ */
+const replay_ignored_params = ["force", "dry_run"];
+
+/**
+ * Method to get the keys a delivery is remembered under, by its
+ * delivery ID and by the digest of its body.
+ * GitHub sends the same body to every hook of a repository, so the
+ * digest is only a duplicate for the same targets and parameters.
+ * @param delivery {string|null} The X-GitHub-Delivery of the hook
+ * @param digest {string|null} Output from get_payload_digest(), if
+ * the body was signed
+ * @param url {URL} The URL the hook was sent to
+ * @returns {Promise<string[]>} The `AutoRepo_Store` keys
+ */
+async function get_delivery_keys(delivery, digest, url) {
+    let keys = [];
+    if (delivery) {
+        keys.push("delivery:" + delivery);
+    }
+    if (digest) {
+        // Without /trigger/ or /validate/, so dry runs find what
+        // the same hook built
+        let params = Array.from(url.searchParams)
+            .filter(([key]) => !replay_ignored_params.includes(key))
+            .map(([key, value]) => encodeURIComponent(key) + "=" + encodeURIComponent(value))
+            .sort();
+        let hook_url = get_url_parts(url.pathname).join('/') + "?" + params.join('&');
+        // Digested again, as KV keys are limited to 512 bytes
+        keys.push("payload:" + await get_payload_digest(hook_url + "\n" + digest));
+    }
+
+    return keys;
+}
+
+/**
+ * Method to check if a delivery, or the same signed body under
+ * another delivery ID, already triggered a build
+ * @param env {{}} Environment Variables from worker request
+ * @param delivery {string|null} The X-GitHub-Delivery of the hook
+ * @param digest {string|null} Output from get_payload_digest(), if
+ * the body was signed
+ * @param url {URL} The URL the hook was sent to
+ * @returns {Promise<{}|null>} What was recorded for the delivery,
+ * or null if it is new (or there is nothing or no
+ * `AutoRepo_Store` to check)
+ */
+async function delivery_seen(env, delivery, digest, url) {
+    if (!env.AutoRepo_Store) {
+        return null;
+    }
+
+    for (let key of await get_delivery_keys(delivery, digest, url)) {
+        let seen = await env.AutoRepo_Store.get(key, {type: "json"});
+        if (seen !== null) {
+            return seen;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Method to remember that a delivery triggered a build, for
+ * `Delivery_Retention` seconds.
+ * The build was already dispatched, so a failure is only logged.
+ * @param env {{}} Environment Variables from worker request
+ * @param delivery {string|null} The X-GitHub-Delivery of the hook
+ * @param digest {string|null} Output from get_payload_digest(), if
+ * the body was signed
+ * @param url {URL} The URL the hook was sent to
+ * @param trigger_data {{}} The trigger data the delivery produced
+ * @returns {Promise<void>}
+ */
+async function record_delivery(env, delivery, digest, url, trigger_data) {
+    if (!env.AutoRepo_Store) {
+        return;
+    }
+
+    // KV will not expire anything sooner than 60 seconds
+    let retention = parseInt(env.Delivery_Retention) || default_delivery_retention;
+    let record = JSON.stringify({
+        seen: new Date().toISOString(),
+        delivery: delivery,
+        github_comment_made: trigger_data["github_comment_made"],
+    });
+    // Each on its own, so either is enough to catch a replay
+    for (let key of await get_delivery_keys(delivery, digest, url)) {
+        await without_failing("remember the delivery as " + key, async () => {
+            await env.AutoRepo_Store.put(key, record, {expirationTtl: Math.max(retention, 60)});
+        });
+    }
+}
+
+/**
+ * Method to check if a duplicate delivery was intentionally
+ * forced, with `?force=1` and the `Admin_Key` as a bearer token.
+ * The URL is not covered by the hook's signature, so `?force=1`
+ * alone would let anyone replay a captured payload.
+ * @param url {URL} The URL from Cloudflare built into a URL
+ * object
+ * @param request {Request} The request from the worker
+ * @param env {{}} Environment Variables from worker request
+ * @returns {boolean} Whether the duplicate should be built anyway
+ */
+function force_allowed(url, request, env) {
+    return url.searchParams.get("force") === "1"
+        && !!env.Admin_Key
+        && request.headers.get("Authorization") === "Bearer " + env.Admin_Key;
+}
+
+//endregion
+
+//region Rate limiting
+/**
+ * Lengths of the windows triggers are counted in, in seconds
+ * @type {Object<string, number>}
+ */
+const limit_windows = {hour: 60 * 60, day: 60 * 60 * 24};
+
+/**
+ * Method to parse TRIGGER_LIMITS into the limits for each key
+ * owner, key, or source repository.
+ * Each line is `<owner, key or owner/repo>: <n>/hour, <n>/day`,
+ * with `*` as the default for keys, and `*` as both halves of
+ * `owner/repo` as the default for source repositories.
+ * @param keys {{}} Output from get_allowed_keys()
+ * @returns {{limits: Object<string, Object<string, number>>, problems: string[]}}
+ * The limits by lowercase name, and any malformed lines
+ */
+function get_trigger_limits(keys) {
+    let limits = {};
+    let problems = [];
+
+    for (let key in keys) {
+        if (key.toLowerCase() !== "trigger_limits") {
+            continue;
+        }
+
+        let values = keys[key].split('\n');
+        for (let index in values) {
+            let value = values[index].replace(/(\r\n|\n|\r)/gm, "").trim();
+            let line = "Line " + (parseInt(index) + 1) + " (`" + value + "`)";
+            if (value === "") {
+                continue;
+            }
+
+            let name_parts = value.split(':');
+            let name = name_parts[0].trim().toLowerCase();
+            if (name_parts.length !== 2 || name === "") {
+                problems.push(line + " must be `<owner, key or owner/repo>: <n>/hour, <n>/day`");
+                continue;
+            }
+
+            limits[name] = {};
+            for (let limit of name_parts[1].split(',')) {
+                let match = limit.trim().toLowerCase().match(/^(\d+)\s*\/\s*(\w+)$/);
+                if (!match || !(match[2] in limit_windows)) {
+                    problems.push(line + " has a limit `" + limit.trim()
+                        + "` that is not `<n>/" + Object.keys(limit_windows).join("` or `<n>/") + "`");
+                    continue;
+                }
+                limits[name][match[2]] = parseInt(match[1]);
+            }
+        }
+    }
+
+    return {limits: limits, problems: problems};
+}
+
+/**
+ * Method to check the key and source repository have not used up
+ * their limits, before a build is triggered
+ * @param trigger_data {{}} The trigger data from parse_trigger()
+ * @param used_key {string} The name of the key that was used
+ * @param keys {{}} Output from get_allowed_keys()
+ * @param env {{}} Environment Variables from worker request
+ * @param request {Request} The request from the worker
+ * @returns {Promise<Response|string[]>} error Response, with a
+ * Retry-After header if a limit is used up, or the counters to
+ * increment once the build is triggered
+ */
+async function check_trigger_limits(trigger_data, used_key, keys, env, request) {
+    let trigger_limits = get_trigger_limits(keys);
+    if (trigger_limits.problems.length > 0) {
+        return error_response(request, "invalid_trigger_limits", trigger_limits.problems);
+    }
+    if (!env.AutoRepo_Store) {
+        return [];
+    }
+
+    // Find the limits for the key and the source, which are counted
+    // for whichever name they were set for
+    used_key = used_key.toLowerCase();
+    let code_repo = trigger_data.code_repo.toLowerCase();
+    let limits = trigger_limits.limits;
+    let scopes = [];
+    for (let name of [used_key, used_key.split('__')[0], "*"]) {
+        if (name in limits) {
+            scopes.push({scope: "key:" + (name === "*" ? used_key : name), limits: limits[name]});
+            break;
+        }
+    }
+    for (let name of [code_repo, "*/*"]) {
+        if (name in limits) {
+            scopes.push({scope: "source:" + code_repo, limits: limits[name]});
+            break;
+        }
+    }
+
+    let now = Math.floor(Date.now() / 1000);
+    let counters = [];
+    for (let scope of scopes) {
+        for (let window in scope.limits) {
+            let length = limit_windows[window];
+            let counter = "limit:" + scope.scope + ":" + window + ":" + Math.floor(now / length);
+            let count = parseInt(await env.AutoRepo_Store.get(counter)) || 0;
+
+            if (count >= scope.limits[window]) {
+                let response = error_response(request, "rate_limited", {
+                    scope: scope.scope,
+                    limit: scope.limits[window] + "/" + window,
+                });
+                response.headers.set("Retry-After", String(length - now % length));
+                return response;
+            }
+            counters.push(counter);
+        }
+    }
+
+    return counters;
+}
+
+/**
+ * Method to count a triggered build against its limits.
+ * KV has no atomic increment, so concurrent triggers can miss each
+ * other's counts, and the limits are approximate.
+ * @param counters {string[]} Output from check_trigger_limits()
+ * @param env {{}} Environment Variables from worker request
+ * @returns {Promise<void>}
+ */
+async function count_trigger(counters, env) {
+    await without_failing("count the trigger against its limits", async () => {
+        for (let counter of counters) {
+            let count = parseInt(await env.AutoRepo_Store.get(counter)) || 0;
+            let window = limit_windows[counter.split(':').slice(-2)[0]];
+            await env.AutoRepo_Store.put(counter, String(count + 1), {expirationTtl: window * 2});
+        }
+    });
+}
+
+//endregion
+
+//region Events
+/**
+ * Events hooks are accepted for, anything else is ignored
+ * @type {string[]}
+ */
+const supported_events = ["ping", "push", "create", "release", "delete", "repository"];
+
+/**
+ * Names of each kind of trigger, for comments and notifications
+ * @type {Object<string, string>}
+ */
+const trigger_actions = {
+    build: "Build",
+    release: "Release Build",
+    remove: "Removal",
+};
+
+/**
+ * Method to check that a hook's payload has the fields its event
+ * is read from, in the types they are read as
+ * @param event {string} The X-GitHub-Event of the hook
+ * @param payload {{}} The parsed body of the request from GitHub
+ * @returns {string[]} Problems with the payload, if any
+ */
+function get_payload_problems(event, payload) {
+    let is_object = value => typeof value === "object" && value !== null && !Array.isArray(value);
+    let problems = [];
+
+    let repository = payload["repository"];
+    if (!is_object(repository) || typeof repository["full_name"] !== "string"
+        || !is_object(repository["owner"])) {
+        problems.push("`repository` must be the repository, with its `full_name` and `owner`");
+    }
+    if (["push", "create", "delete"].includes(event) && typeof payload["ref"] !== "string") {
+        problems.push("`ref` must be the name of the " + (event === "push" ? "pushed" : event + "d") + " ref");
+    }
+    let is_commit = commit => is_object(commit)
+        && typeof commit["id"] === "string" && typeof commit["message"] === "string";
+    if (event === "push" && "commits" in payload
+        && (!Array.isArray(payload["commits"]) || !payload["commits"].every(is_commit))) {
+        problems.push("`commits` must be a list of the pushed commits, each with its `id` and `message`");
+    }
+    if (event === "push" && payload["head_commit"] && !is_commit(payload["head_commit"])) {
+        problems.push("`head_commit` must be the pushed commit, with its `id` and `message`");
+    }
+    if (event === "release" && payload["action"] === "published"
+        && !(is_object(payload["release"]) && typeof payload["release"]["tag_name"] === "string")) {
+        problems.push("`release` must be the published release, with its `tag_name`");
+    }
+
+    return problems;
+}
+
+/**
+ * Method to find the branch or tag an event is for, and the kind
+ * of trigger it should produce
+ * @param event {string} The X-GitHub-Event of the hook
+ * @param payload {{}} The parsed body of the request from GitHub
+ * @returns {{action: string, ref: string|null, ref_type: string}|{ignored: boolean, reason: string}}
+ * The trigger's action and ref (null for pings, the default branch
+ * for whole repositories), or why the event is ignored
+ * @see https://docs.github.com/en/webhooks/webhook-events-and-payloads
+ */
+function get_event_ref(event, payload) {
+    switch (event) {
+        case "ping":
+            return {action: "build", ref: null, ref_type: "branch"};
+        case "push":
+            if (payload["deleted"]) {
+                return {ignored: true, reason: "Deleted refs are removed by delete events"};
+            }
+            if (payload["ref"].startsWith("refs/tags/")) {
+                return {ignored: true, reason: "Tags are built by create or release events"};
+            }
+            return {
+                action: "build",
+                ref: payload["ref"].split('/').slice(2).join('/'), // trim "refs/heads/"
+                ref_type: "branch",
+            };
+        case "create":
+            // GitHub and Gitea also send a push for every new branch,
+            // with the commits this lacks
+            if (payload["ref_type"] !== "tag") {
+                return {ignored: true, reason: "New branches are built by their push events"};
+            }
+            return {action: "release", ref: payload["ref"], ref_type: "tag"};
+        case "release":
+            if (payload["action"] !== "published") {
+                return {ignored: true, reason: "Only published releases are built"};
+            }
+            return {action: "release", ref: payload["release"]["tag_name"], ref_type: "tag"};
+        case "delete":
+            return {action: "remove", ref: payload["ref"], ref_type: payload["ref_type"]};
+        case "repository":
+            if (!["archived", "deleted"].includes(payload["action"])) {
+                return {ignored: true, reason: "Only archived or deleted repositories are removed"};
+            }
+            return {action: "remove", ref: payload["repository"]["default_branch"] || null, ref_type: "repository"};
+        default:
+            return {ignored: true, reason: "Unsupported event: " + event};
+    }
+}
+
+/**
+ * Method to build the Response for an event that is ignored
+ * @param request {Request} The request from the worker
+ * @param event {string} The event of the hook, normalized to
+ * GitHub's names
+ * @param reason {string} Why the event is ignored
+ * @returns {Response} A successful Response, so the hook is not
+ * shown as failed
+ */
+function ignored_response(request, event, reason) {
+    return new Response(JSON.stringify({
+        ignored: true,
+        event: event,
+        reason: reason,
+        delivery: get_delivery(request),
+    }, null, 4), {headers: {'Content-Type': 'application/json'}});
+}
+
+//endregion
+
+//region Repository config
+/**
+ * Path of the optional config file in the source repository
+ * @type {string}
+ */
+const repo_config_file = ".autorepo.json";
+
+/**
+ * What is allowed in the config file, the same as the hook's URL
+ * parameters
+ * @type {Object<string, {pattern?: RegExp, description: string}>}
+ */
+const repo_config_schema = {
+    target_name: {description: "the name of the plugin"},
+    main: {description: "the branch that is the live version of the plugin"},
+    main_build: {description: "the csproj build configuration for the main branch"},
+    test: {description: "the branch that is the test version of the plugin"},
+    test_build: {description: "the csproj build configuration for the test branch"},
+    icon: {pattern: /^https:\/\/\S+$/, description: "an https URL to the PNG icon of the plugin"},
+};
+
+/**
+ * Method to check the config file against the schema
+ * @param config {*} The parsed config file
+ * @returns {string[]} Everything wrong with the config, if
+ * anything
+ */
+function validate_repo_config(config) {
+    if (typeof config !== "object" || config === null || Array.isArray(config)) {
+        return ["The config must be a JSON object"];
+    }
+
+    let problems = [];
+    for (let key in config) {
+        let rule = repo_config_schema[key];
+        if (rule === undefined) {
+            problems.push("`" + key + "` is not a known setting, expected one of: "
+                + Object.keys(repo_config_schema).join(', '));
+        } else if (typeof config[key] !== "string" || config[key].trim() === "") {
+            problems.push("`" + key + "` must be a non-empty string, " + rule.description);
+        } else if (rule.pattern && !rule.pattern.test(config[key])) {
+            problems.push("`" + key + "` must be " + rule.description);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Method to get the optional config file from the source
+ * repository at the ref being built
+ * @param repository {{}} The repository from the hook's payload
+ * @param ref {string} The branch or tag being built
+ * @param env {{}} Environment Variables from worker request
+ * @param request {Request} The request from the worker
+ * @returns {Promise<Response|{}>} error Response or the config,
+ * empty if there is no config file
+ * @see https://docs.github.com/en/rest/repos/contents#get-repository-content
+ */
+async function get_repo_config(repository, ref, env, request) {
+    let token;
+    try {
+        token = repository["private"]
+            ? await get_source_token(repository["full_name"], env, request)
+            : env.Read_Keys;
+    } catch (e) {
+        return error_response(request, "broken_repo_config", e.message);
+    }
+    // Private repos that cannot be read are caught by verify_source_access()
+    if (!token) {
+        return {};
+    }
+
+    let headers = github_headers(token);
+    headers['Accept'] = 'application/vnd.github.raw+json';
+    let config_response = await github_fetch(new Request(
+        worker_config(env).api_url + "/repos/" + repository["full_name"] + "/contents/"
+        + repo_config_file + "?ref=" + encodeURIComponent(ref),
+        {method: 'GET', headers: headers}
+    ), request);
+    if (config_response.status === 404) {
+        return {};
+    }
+    if (config_response.status !== 200) {
+        return error_response(request, "broken_repo_config", await config_response.text());
+    }
+
+    let details = {file: repo_config_file, ref: ref};
+    let config;
+    try {
+        config = JSON.parse(await config_response.text());
+    } catch (e) {
+        return error_response(request, "invalid_repo_config", {...details, problems: [e.message]});
+    }
+
+    let problems = validate_repo_config(config);
+    if (problems.length > 0) {
+        return error_response(request, "invalid_repo_config", {...details, problems: problems});
+    }
+
+    return config;
+}
+
+//endregion
+
+//region Dry runs
+/**
+ * URL parameters that control the worker, rather than the build
+ * @type {string[]}
+ */
+const worker_params = ["force", "dry_run"];
+
+/**
+ * Method to check if a hook should only be checked and parsed,
+ * because it was sent to `/validate/` or with `?dry_run=1`
+ * @param url {URL} The URL from Cloudflare built into a URL
+ * object
+ * @returns {boolean} Whether nothing should be triggered
+ */
+function is_dry_run(url) {
+    return url.pathname.split('/')[1] === "validate" || url.searchParams.get("dry_run") === "1";
+}
+
+/**
+ * Method to count the edits needed to turn one string into
+ * another, to suggest what a misspelled parameter was meant to be
+ * @param a {string} The first string
+ * @param b {string} The second string
+ * @returns {number} The Levenshtein distance
+ */
+function edit_distance(a, b) {
+    let previous = Array.from({length: b.length + 1}, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        let current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Method to find mistakes in the URL parameters of a hook, which
+ * would otherwise be silently ignored
+ * @param url {URL} The URL from Cloudflare built into a URL
+ * object
+ * @param trigger_data {{}} The trigger data from parse_trigger()
+ * @returns {string[]} Warnings about the parameters and the trigger
+ */
+function get_param_warnings(url, trigger_data) {
+    let warnings = [];
+    let known = Object.keys(repo_config_schema);
+    let build_params = {};
+
+    for (const [key, value] of url.searchParams) {
+        if (known.includes(key)) {
+            build_params[key] = value;
+            continue;
+        }
+        if (worker_params.includes(key)) {
+            continue;
+        }
+
+        let suggestion = known.concat(worker_params)
+            .filter(param => edit_distance(key.toLowerCase(), param) <= 2)
+            .sort((a, b) => edit_distance(key.toLowerCase(), a) - edit_distance(key.toLowerCase(), b))[0];
+        warnings.push("`" + key + "` is not a known parameter and is ignored"
+            + (suggestion !== undefined ? ", did you mean `" + suggestion + "`?" : ""));
+    }
+    warnings.push(...validate_repo_config(build_params));
+
+    if (trigger_data.action === "build"
+        && trigger_data.branch_main !== trigger_data.code_branch
+        && trigger_data.branch_test !== trigger_data.code_branch) {
+        warnings.push("`" + trigger_data.code_branch + "` is neither the `main` nor `test` branch, "
+            + "so it is built as `" + trigger_data.target_name + "`");
+    }
+    if (trigger_data.code_icon_rejected) {
+        warnings.push("The icon " + trigger_data.code_icon_rejected + ", so it is left out");
+    }
+
+    return warnings;
+}
+
+//endregion
+
+//region Commits
+/**
+ * Number of characters the changelog of a trigger is cut down to
+ * @type {number}
+ */
+const changelog_limit = 1000;
+
+/**
+ * Method to get the commit being built, and the commits pushed
+ * with it, from a push
+ * @param payload {{}} The payload of the hook, in GitHub's shape
+ * @returns {{sha: string|null, author: string|null, message: string|null,
+ * commits: {sha: string, author: string|null, message: string, url: string|null}[]}}
+ * The head commit and the commits, oldest first, or nulls if the
+ * hook was not for a push
+ * @see https://docs.github.com/en/webhooks/webhook-events-and-payloads#push
+ */
+function get_commits(payload) {
+    let read_commit = commit => ({
+        sha: commit["id"],
+        author: commit["author"] ? commit["author"]["username"] || commit["author"]["name"] || null : null,
+        message: (commit["message"] || "").trim(),
+        url: commit["url"] || null,
+    });
+    let commits = (payload["commits"] || []).map(read_commit);
+
+    let sha = payload["after"] && payload["after"] !== empty_commit ? payload["after"] : null;
+    let head_commit = payload["head_commit"]
+        ? read_commit(payload["head_commit"])
+        : commits.find(commit => commit.sha === sha) || null;
+
+    return {
+        sha: sha || (head_commit !== null ? head_commit.sha : null),
+        author: head_commit !== null ? head_commit.author : null,
+        message: head_commit !== null ? head_commit.message : null,
+        commits: commits,
+    };
+}
+
+/**
+ * Method to render the commits of a push as a Markdown list, of
+ * the first line of each message, newest first, cut down to
+ * `changelog_limit`
+ * @param commits {{sha: string, author: string|null, message: string}[]}
+ * The commits from get_commits()
+ * @returns {string|null} The changelog, or null if there were no
+ * commits
+ */
+function render_changelog(commits) {
+    if (commits.length === 0) {
+        return null;
+    }
+
+    let lines = [];
+    let length = 0;
+    let newest_first = commits.slice().reverse();
+    for (let index = 0; index < newest_first.length; index++) {
+        let commit = newest_first[index];
+        let line = "- " + commit.message.split('\n')[0]
+            + " (`" + commit.sha.slice(0, 7) + "`"
+            + (commit.author !== null ? " by " + commit.author : "") + ")";
+        let remaining = newest_first.length - index - 1;
+        let more = remaining > 0 ? "\n- …and " + remaining + " more" : "";
+
+        // Leave room to say how many commits were left out
+        if (length + line.length + 1 + more.length > changelog_limit) {
+            lines.push("- …and " + (remaining + 1) + " more");
+            break;
+        }
+        lines.push(line);
+        length += line.length + 1;
+    }
+
+    return lines.join('\n');
+}
+
+//endregion
+
+/**
+ * Method to call the majority of the methods above,
+ * searching for the desired triggers, and forming a standard
+ * struct to create a build-triggering comment with.
+ * @param used_key {string} The owner of the key that was used
+ * @param url {URL} The URL from Cloudflare built into a URL
+ * object
+ * @param hook {{provider: string, event: string, payload: {}, problems?: string[]}}
+ * The hook, with its event and payload normalized into GitHub's
+ * shape, and any problems found while normalizing it
+ * @param request {Request} The request from the worker
+ * @param env {{}} Environment Variables from worker request
+ * @returns {Promise<Response|{}>} error Response or object of trigger data
+ */
+async function parse_trigger(used_key, url, hook, request, env) {
+    // URL Parts
+    let endpoint = url.pathname;
+    let destination = get_url_parts(endpoint);
+    if (destination.length < 1) {
+        return error_response(request, "non_permissible_trigger");
+    }
+
+    // URL parameters
+    let getParams = {};
+    for (const [key, value] of url.searchParams)
+        getParams[key] = value;
+
+    // Check Payload, unless it could not be normalized
+    let payload = hook.payload;
+    let problems = hook.problems || get_payload_problems(hook.event, payload);
+    if (problems.length > 0) {
+        return error_response(request, "unexpected_request_body", problems);
+    }
+
+    // Get the branch or tag the event is for
+    let event_ref = get_event_ref(hook.event, payload);
+    if (event_ref.ignored) {
+        return ignored_response(request, hook.event, event_ref.reason);
+    }
+
+    // Get the repo's config, from the default branch for pings, which
+    // URL parameters override (only GitHub's API can be read for it)
+    let config_ref = event_ref.ref !== null
+        ? event_ref.ref
+        : payload["repository"]["default_branch"];
+    let repo_config = {};
+    if (event_ref.action !== "remove" && config_ref && hook.provider === "github") {
+        repo_config = await get_repo_config(payload["repository"], config_ref, env, request);
+        if (repo_config instanceof Response) {
+            return repo_config;
+        }
+        getParams = {...repo_config, ...getParams};
+    }
+
+    let main_and_test_not_set = !("test" in getParams) && !("main" in getParams);
+    let branch = event_ref.ref;
+    if (branch === null) {
+        // Pings have no ref, so preview the main or test branch
+        if ("test" in getParams) {
+            branch = getParams["test"];
+        }
+        if ("main" in getParams) {
+            branch = getParams["main"];
+        }
+        if (main_and_test_not_set) {
+            branch = payload["repository"]["default_branch"] || null;
+        }
+        if (branch === null) {
+            return error_response(request, "no_branch_provided");
+        }
+    }
+
+    // Get the commit to build, and what changed, from pushes
+    let commits = event_ref.action === "build"
+        ? get_commits(payload)
+        : {sha: null, author: null, message: null, commits: []};
+
+    // Build base trigger data
+    let trigger = {
+        worker_version: version,
+        action: event_ref.action,
+        key_owner: used_key.charAt(0).toUpperCase() + used_key.slice(1)
+                                                              .toLowerCase(),
+        target_repo: destination.join(','),
+        target_name: "target_name" in getParams
+            ? getParams["target_name"].replace(/_/g, ' ')
+            : payload["repository"]["name"],
+        branch_main: null,
+        branch_main_build: "main_build" in getParams ? getParams["main_build"] : "Release",
+        branch_test: null,
+        branch_test_build: "test_build" in getParams ? getParams["test_build"] : "Debug",
+        code_repo: payload["repository"]["full_name"],
+        code_private: payload["repository"]["private"],
+        code_owner: payload["repository"]["owner"]["login"],
+        code_url: payload["repository"]["html_url"],
+        code_provider: hook.provider,
+        code_branch: branch,
+        code_ref_type: event_ref.ref_type,
+        code_sha: commits.sha,
+        code_version: event_ref.action === "release" ? branch.replace(/^v/i, '') : null,
+        code_icon: "icon" in getParams ? getParams["icon"] : null,
+        code_config: Object.keys(repo_config).length > 0 ? repo_config_file : null,
+        code_author: commits.author,
+        code_message: commits.message,
+        code_commits: commits.commits,
+        code_changelog: render_changelog(commits.commits),
+        remove_entries: null,
+    };
+
+    // Build out additional trigger data
+    // Get branch data
+    if ("main" in getParams) {
+        trigger["branch_main"] = getParams["main"];
+    }
+    if ("test" in getParams) {
+        trigger["branch_test"] = getParams["test"];
+    }
+    // Releases are built as the live version of the plugin
+    if (trigger["action"] === "release") {
+        trigger["branch_main"] = trigger["code_branch"];
+        return trigger;
+    }
+    // Add branch to name when not main or test (or main and test not set)
+    let branch_not_main_or_test = trigger["branch_main"] !== trigger["code_branch"]
+        && trigger["branch_test"] !== trigger["code_branch"];
+    if (branch_not_main_or_test || main_and_test_not_set) {
+        trigger["target_name"] = trigger["target_name"] + " (" + trigger["code_branch"] + ")";
+    }
+    // Fallback to make sure a branch is specified
+    if (main_and_test_not_set) {
+        trigger["branch_main"] = trigger["code_branch"];
+    }
+    // Find exactly which entries to unpublish
+    if (trigger["action"] === "remove") {
+        trigger["remove_entries"] = await get_removal_entries(trigger, env);
+        if (trigger["remove_entries"].length === 0) {
+            return ignored_response(request, hook.event,
+                "No published entries were built from " + trigger["code_ref_type"] + " " + trigger["code_branch"]);
+        }
+    }
+
+    return trigger;
+}
+
+//region Comment templates
+/**
+ * Version of the machine-readable block at the end of trigger
+ * comments, raised whenever the shape of its JSON changes
+ * @type {number}
+ */
+const comment_schema_version = 1;
+
+/**
+ * Info string of the fenced machine-readable block, after `json`
+ * @type {string}
+ */
+const comment_block_marker = "autorepo-trigger";
+
+/**
+ * Template for the readable part of trigger comments, if
+ * COMMENT_TEMPLATE is not set
+ * @type {string}
+ */
+const default_comment_template = [
+    // Build triggered by X's key for X/Y:Z.
+    "{{action_name}} triggered by **_{{key_owner_name}}_**'s key for "
+    + "[{{code_repo}}:{{code_branch}}]({{code_branch_url}}){{#code_private}} (private){{/code_private}}.",
+    "",
+    "- **Target Name**: `{{target_name}}`",
+    "- **Target Repository**: `{{target_repo}}`",
+    "- **Main Branch**: {{#branch_main}}`{{branch_main}}` (with `{{branch_main_build}}` config){{/branch_main}}"
+    + "{{^branch_main}}`<null>`{{/branch_main}}",
+    "- **Test Branch**: {{#branch_test}}`{{branch_test}}` (with `{{branch_test_build}}` config){{/branch_test}}"
+    + "{{^branch_test}}`<null>`{{/branch_test}}",
+    "{{#remove_entries}}- **Removing**: {{remove_entries_list}}",
+    "{{/remove_entries}}{{#code_sha}}- **Commit**: [`{{code_sha_short}}`]({{code_commit_url}})"
+    + "{{#code_author}} by {{code_author}}{{/code_author}}",
+    "{{/code_sha}}{{#code_changelog}}",
+    "**Changelog**:",
+    "{{code_changelog}}",
+    "{{/code_changelog}}",
+    "> (worker version: <kbd>{{worker_version}}</kbd>)",
+].join('\n');
+
+/**
+ * Method to get the template for trigger comments, from the
+ * COMMENT_TEMPLATE variable on the hub
+ * @param keys {{}} Output from get_allowed_keys()
+ * @returns {string} The template
+ */
+function get_comment_template(keys) {
+    for (let key in keys) {
+        if (key.toLowerCase() === "comment_template" && keys[key].trim() !== "") {
+            return keys[key].replace(/\r\n|\r/g, "\n");
+        }
+    }
+
+    return default_comment_template;
+}
+
+/**
+ * Method to get what can be placed in a comment template, which is
+ * every trigger field, and a few made from them
+ * @param trigger_data {{}} The trigger data to comment with
+ * @returns {Object<string, *>} The values by placeholder name
+ */
+function get_comment_fields(trigger_data) {
+    let provider = providers[trigger_data.code_provider];
+
+    return {
+        ...trigger_data,
+        action_name: trigger_actions[trigger_data.action],
+        key_owner_name: trigger_data.key_owner.split('__')[0],
+        code_branch_url: trigger_data.code_url + provider.tree + trigger_data.code_branch,
+        code_commit_url: trigger_data.code_sha ? trigger_data.code_url + provider.commit + trigger_data.code_sha : null,
+        code_sha_short: trigger_data.code_sha ? trigger_data.code_sha.slice(0, 7) : null,
+        remove_entries_list: trigger_data.remove_entries
+            ? trigger_data.remove_entries
+                .map(entry => "`" + entry.target_name + "` from `" + entry.target_repo + "`")
+                .join(", ")
+            : null,
+    };
+}
+
+/**
+ * Method to fill in a comment template.
+ * `{{name}}` is replaced with a field, `{{#name}}...{{/name}}` is
+ * only kept if the field is set (not null, false, empty, or an
+ * empty list), and `{{^name}}...{{/name}}` only if it is not.
+ * @param template {string} The template, from get_comment_template()
+ * @param fields {Object<string, *>} Output from get_comment_fields()
+ * @returns {{text: string, problems: string[]}} The filled in
+ * template, and any unknown fields or unclosed sections
+ */
+function render_comment_template(template, fields) {
+    let problems = [];
+    let is_set = name => {
+        let value = fields[name];
+        return value !== null && value !== undefined && value !== false && value !== ""
+            && !(Array.isArray(value) && value.length === 0);
+    };
+    let check_name = name => {
+        if (!(name in fields) && !problems.includes("Unknown field `" + name + "`")) {
+            problems.push("Unknown field `" + name + "`");
+        }
+    };
+
+    // Resolve sections from the innermost out
+    let section = /\{\{([#^])(\w+)}}((?:(?!\{\{[#^]\w+}})[\s\S])*?)\{\{\/\2}}/;
+    let text = template;
+    let match;
+    while ((match = text.match(section)) !== null) {
+        check_name(match[2]);
+        let keep = (match[1] === "#") === is_set(match[2]);
+        text = text.slice(0, match.index) + (keep ? match[3] : "") + text.slice(match.index + match[0].length);
+    }
+
+    let unclosed = text.match(/\{\{[#^/]\w+}}/g);
+    if (unclosed !== null) {
+        problems.push("Unmatched section tags " + unclosed.map(tag => "`" + tag + "`").join(", "));
+    }
+
+    text = text.replace(/\{\{(\w+)}}/g, (placeholder, name) => {
+        check_name(name);
+        let value = fields[name];
+        if (value === null || value === undefined) {
+            return "";
+        }
+        return typeof value === "object" ? JSON.stringify(value) : String(value);
+    });
+
+    return {text: text, problems: problems};
+}
+
+/**
+ * Method to render the machine-readable block of a trigger comment,
+ * which is always added after the template so AutoRepo can read
+ * the trigger however the template is changed
+ * @param trigger_data {{}} The trigger data to comment with
+ * @returns {string} The collapsed, fenced JSON block
+ */
+function render_comment_block(trigger_data) {
+    return "<details><summary>Raw Trigger Data</summary>"
+        + "\n\n\n```json " + comment_block_marker + "\n"
+        + JSON.stringify({schema_version: comment_schema_version, trigger: trigger_data}, null, 4)
+        + "\n```\n\n</details>";
+}
+
+//endregion
+
+/**
+ * Method to create a comment on the AutoRepo repository to
+ * trigger a build, from COMMENT_TEMPLATE and the machine-readable
+ * block
+ * @param trigger_data {{}} The data to create the comment
+ * with, from parse_trigger()
+ * @param env {{}} Environment Variables from worker request
+ * @param request {Request} The request from the worker
+ * @returns {Promise<Response|any>}
+ */
+async function post_comment_on_repo(trigger_data, env, request) {
+    let keys = await get_allowed_keys(env, request);
+    if (keys instanceof Response) {
+        return keys;
+    }
+    let comment = render_comment_template(get_comment_template(keys), get_comment_fields(trigger_data));
+    if (comment.problems.length > 0) {
+        return error_response(request, "invalid_comment_template", comment.problems);
+    }
+
+    //region Create Comment on AutoRepo
+    let comment_request = new Request(worker_config(env).comment_url, {
+        method: 'POST',
+        headers: github_headers(env.Issue_Comment),
+        body: JSON.stringify({
+            body: comment.text.trim() + "\n\n\n" + render_comment_block(trigger_data),
+        })
+    });
+    let comment_response = await github_fetch(comment_request, request);
+    if (comment_response.status !== 201) {
+        return error_response(request, "broken_github_comment", await comment_response.text());
+    }
+
+    return await comment_response.json();
+}
+
+//region Source access
+/**
+ * Method to base64url-encode bytes or a string, for JWTs
+ * @param data {Uint8Array|string} The data to encode
+ * @returns {string} The base64url-encoded data
+ */
+function base64url(data) {
+    if (typeof data === "string") {
+        data = new TextEncoder().encode(data);
+    }
+
+    let binary = "";
+    for (let byte of data) {
+        binary += String.fromCharCode(byte);
+    }
+
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Method to create a JWT to authenticate as the GitHub App
+ * @param env {{}} Environment Variables from worker request
+ * @returns {Promise<string>} The signed JWT, valid for 9 minutes
+ * @see https://docs.github.com/en/apps/creating-github-apps/authenticating-with-a-github-app/generating-a-json-web-token-jwt-for-a-github-app
+ */
+async function get_app_jwt(env) {
+    // The private key must be PKCS#8, which GitHub's PKCS#1 key can
+    // be converted to with `openssl pkcs8 -topk8 -nocrypt`
+    let pem = env.App_Private_Key.replace(/-----[A-Z ]+-----|\s/g, '');
+    let key = await crypto.subtle.importKey(
+        "pkcs8",
+        Uint8Array.from(atob(pem), c => c.charCodeAt(0)),
+        {name: "RSASSA-PKCS1-v1_5", hash: {name: 'SHA-256'}},
+        false,
+        ["sign"],
+    );
+
+    let now = Math.floor(Date.now() / 1000);
+    let unsigned = base64url(JSON.stringify({alg: "RS256", typ: "JWT"}))
+        + "." + base64url(JSON.stringify({iat: now - 60, exp: now + 540, iss: env.App_Id}));
+    let signature = await crypto.subtle.sign(
+        "RSASSA-PKCS1-v1_5",
+        key,
+        new TextEncoder().encode(unsigned),
+    );
+
+    return unsigned + "." + base64url(new Uint8Array(signature));
+}
+
+/**
+ * Method to get an installation token of the GitHub App (`App_Id`
+ * and `App_Private_Key`) for one repository
+ * @param code_repo {string} The full name of the source repository
+ * @param permissions {Object<string, string>} The permissions the
+ * token needs
+ * @param env {{}} Environment Variables from worker request
+ * @param request {Request} The request from the worker
+ * @returns {Promise<string|null>} The token, or null if the App is
+ * not installed on the repository
+ * @see https://docs.github.com/en/rest/apps/apps#create-an-installation-access-token-for-an-app
+ */
+async function get_installation_token(code_repo, permissions, env, request) {
+    let jwt = await get_app_jwt(env);
+    let installation_response = await github_fetch(new Request(
+        worker_config(env).api_url + "/repos/" + code_repo + "/installation",
+        {method: 'GET', headers: github_headers(jwt)}
+    ), request);
+    if (installation_response.status === 404) {
+        return null;
+    }
+    if (installation_response.status !== 200) {
+        throw new Error(await installation_response.text());
+    }
+
+    let installation = await installation_response.json();
+    let token_response = await github_fetch(new Request(installation["access_tokens_url"], {
+        method: 'POST',
+        headers: github_headers(jwt),
+        body: JSON.stringify({
+            repositories: [code_repo.split('/')[1]],
+            permissions: permissions,
+        }),
+    }), request);
+    if (token_response.status !== 201) {
+        throw new Error(await token_response.text());
+    }
+
+    return (await token_response.json())["token"];
+}
+
+/**
+ * Method to get a token to read the source repository with,
+ * either `Read_Sources` or an installation token of the GitHub App
+ * @param code_repo {string} The full name of the source repository
+ * @param env {{}} Environment Variables from worker request
+ * @param request {Request} The request from the worker
+ * @returns {Promise<string|null>} The token, or null if the App is
+ * not installed on the repository
+ */
+async function get_source_token(code_repo, env, request) {
+    if (!env.App_Id) {
+        return env.Read_Sources;
+    }
+
+    return await get_installation_token(code_repo, {contents: "read"}, env, request);
+}
+
+/**
+ * Method to explain how to let the worker read a private source
+ * repository
+ * @param code_repo {string} The full name of the source repository
+ * @param env {{}} Environment Variables from worker request
+ * @returns {string} How to grant access
+ */
+function source_access_help(code_repo, env) {
+    if (env.App_Id) {
+        return "Install the AutoRepo GitHub App on " + code_repo
+            + (env.App_Slug
+                ? " (" + worker_config(env).web_url + "/apps/" + env.App_Slug + "/installations/new)"
+                : "")
+            + ", then redeliver this hook.";
+    }
+
+    return "Add " + (env.Read_Sources_User || "AutoRepo's bot account")
+        + " as a collaborator with Read access in " + code_repo
+        + "'s Settings > Collaborators, then redeliver this hook.";
+}
+
+/**
+ * Method to confirm a private source repository can be read at
+ * the ref being built, before triggering a build that would fail
+ * to fetch it.
+ * Skipped if neither `Read_Sources` nor a GitHub App is set.
+ * @param trigger_data {{}} The trigger data from parse_trigger()
+ * @param env {{}} Environment Variables from worker request
+ * @param request {Request} The request from the worker
+ * @returns {Promise<Response|boolean>} error Response or true
+ */
+async function verify_source_access(trigger_data, env, request) {
+    if (!env.Read_Sources && !env.App_Id) {
+        return true;
+    }
+
+    let details = {
+        repo: trigger_data.code_repo,
+        ref: trigger_data.code_branch,
+        help: source_access_help(trigger_data.code_repo, env),
+    };
+
+    try {
+        let token = await get_source_token(trigger_data.code_repo, env, request);
+        if (token === null) {
+            return error_response(request, "inaccessible_source_repository", details);
+        }
+
+        let headers = github_headers(token);
+        headers['Accept'] = 'application/vnd.github.sha';
+        let commit_response = await github_fetch(new Request(
+            worker_config(env).api_url + "/repos/" + trigger_data.code_repo
+            + "/commits/" + encodeURIComponent(trigger_data.code_branch),
+            {method: 'GET', headers: headers}
+        ), request);
+        // GitHub hides repositories that cannot be read behind a 404
+        if (commit_response.status === 404 || commit_response.status === 403) {
+            return error_response(request, "inaccessible_source_repository", details);
+        }
+        if (commit_response.status !== 200) {
+            return error_response(request, "broken_source_access", await commit_response.text());
+        }
+    } catch (e) {
+        return error_response(request, "broken_source_access", e.message);
+    }
+
+    return true;
+}
+
+//endregion
+
+//region Icons
+/**
+ * Largest icon, in bytes, that is mirrored
+ * @type {number}
+ */
+const icon_size_limit = 512 * 1024;
+
+/**
+ * Smallest and largest width and height, in pixels, of icons
+ * @type {{min: number, max: number}}
+ */
+const icon_dimensions = {min: 64, max: 512};
+
+/**
+ * The 8 bytes every PNG starts with
+ * @type {number[]}
+ */
+const png_signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Method to get the key a version of a source repository's icon is
+ * stored under
+ * @param code_repo {string} The full name of the source repository
+ * @param version {string} The version of the icon, from its content
+ * @returns {string} The key in `AutoRepo_Store`
+ */
+function icon_key(code_repo, version) {
+    return "icon:" + code_repo.toLowerCase() + ":" + version;
+}
+
+/**
+ * Method to read an icon's body, stopping as soon as it is larger
+ * than `icon_size_limit`, as chunked responses have no
+ * `Content-Length` to check first
+ * @param icon_response {Response} The response with the icon
+ * @returns {Promise<Uint8Array|null>} The icon, or null if it is
+ * too large
+ */
+async function read_icon(icon_response) {
+    let chunks = [];
+    let length = 0;
+    if (icon_response.body !== null) {
+        let reader = icon_response.body.getReader();
+        for (let read = await reader.read(); !read.done; read = await reader.read()) {
+            length += read.value.length;
+            if (length > icon_size_limit) {
+                await reader.cancel();
+                return null;
+            }
+            chunks.push(read.value);
+        }
+    }
+
+    let bytes = new Uint8Array(length);
+    let offset = 0;
+    for (let chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    return bytes;
+}
+
+/**
+ * Method to download an icon and check it is a square PNG, of a
+ * sensible size
+ * @param icon_url {string} The URL of the icon
+ * @returns {Promise<{bytes: Uint8Array, width: number, height: number}|{problem: string}>}
+ * The icon, or why it was rejected
+ */
+async function check_icon(icon_url) {
+    // URL parameters are not checked against the schema like the
+    // config file is, and the icon must not be fetched over http
+    if (!repo_config_schema.icon.pattern.test(icon_url)) {
+        return {problem: "is not " + repo_config_schema.icon.description};
+    }
+
+    let icon_response;
+    try {
+        icon_response = await fetch(new Request(icon_url, {method: 'GET', redirect: 'follow'}));
+    } catch (e) {
+        return {problem: "could not be downloaded: " + e.message};
+    }
+    if (icon_response.status !== 200) {
+        return {problem: "could not be downloaded: HTTP " + icon_response.status};
+    }
+
+    let content_type = (icon_response.headers.get("Content-Type") || "").split(';')[0].trim();
+    if (content_type !== "image/png") {
+        return {problem: "is served as `" + (content_type || "no content type") + "`, not `image/png`"};
+    }
+    // Check the declared size before reading it all
+    if (parseInt(icon_response.headers.get("Content-Length")) > icon_size_limit) {
+        return {problem: "is larger than " + icon_size_limit / 1024 + " KiB"};
+    }
+    let bytes = await read_icon(icon_response);
+    if (bytes === null) {
+        return {problem: "is larger than " + icon_size_limit / 1024 + " KiB"};
+    }
+
+    // The IHDR chunk always comes first, with the width and height
+    if (bytes.length < 24 || png_signature.some((byte, index) => bytes[index] !== byte)) {
+        return {problem: "is not a PNG"};
+    }
+    let view = new DataView(bytes.buffer);
+    let width = view.getUint32(16);
+    let height = view.getUint32(20);
+    if (width !== height || width < icon_dimensions.min || width > icon_dimensions.max) {
+        return {
+            problem: "is " + width + "x" + height + ", not square between "
+                + icon_dimensions.min + "x" + icon_dimensions.min + " and "
+                + icon_dimensions.max + "x" + icon_dimensions.max,
+        };
+    }
+
+    return {bytes: bytes, width: width, height: height};
+}
+
+/**
+ * Method to check the icon of a trigger, and point the trigger at a
+ * mirror of it in `AutoRepo_Store`, served from
+ * `/icon/<owner>/<repo>.png?v=<version>` instead of its original host.
+ * The mirror is only written by store_icon(), once the trigger is
+ * dispatched.
+ * A rejected icon is removed from the trigger, with the reason in
+ * `code_icon_rejected`.
+ * @param trigger_data {{}} The trigger data from parse_trigger(),
+ * which is updated with the icon to use
+ * @param mirror {boolean} Whether to point the trigger at the mirror,
+ * or only check the icon
+ * @param env {{}} Environment Variables from worker request
+ * @param request {Request} The request from the worker
+ * @returns {Promise<{}|null>} The icon for store_icon(), or null if
+ * there is nothing to mirror
+ */
+async function mirror_icon(trigger_data, mirror, env, request) {
+    trigger_data["code_icon_rejected"] = null;
+    if (trigger_data.code_icon === null || trigger_data.action === "remove") {
+        return null;
+    }
+
+    let icon = await check_icon(trigger_data.code_icon);
+    if (icon.problem) {
+        trigger_data["code_icon_rejected"] = "`" + trigger_data.code_icon + "` " + icon.problem;
+        trigger_data["code_icon"] = null;
+        return null;
+    }
+    if (!mirror || !env.AutoRepo_Store) {
+        return null;
+    }
+
+    // Versioned by content, so clients that cached the old icon
+    // fetch the new one, and every branch and plugin keeps its own
+    let digest = new Uint8Array(await crypto.subtle.digest("SHA-256", icon.bytes));
+    icon.version = Array.from(digest.slice(0, 4), byte => byte.toString(16).padStart(2, '0')).join('');
+    icon.source = trigger_data.code_icon;
+    trigger_data["code_icon"] = new URL(request.url).origin
+        + "/icon/" + trigger_data.code_repo + ".png?v=" + icon.version;
+    return icon;
+}
+
+/**
+ * Method to write the mirror of an icon to `AutoRepo_Store`, once
+ * the trigger pointing at it is dispatched
+ * @param trigger_data {{}} The dispatched trigger data
+ * @param icon {{}|null} The icon from mirror_icon()
+ * @param env {{}} Environment Variables from worker request
+ * @returns {Promise<void>}
+ */
+async function store_icon(trigger_data, icon, env) {
+    if (icon === null) {
+        return;
+    }
+    await without_failing("store the icon of " + trigger_data.code_repo, () => env.AutoRepo_Store.put(
+        icon_key(trigger_data.code_repo, icon.version), icon.bytes,
+        {metadata: {source: icon.source, version: icon.version, width: icon.width}},
+    ));
+}
+
+/**
+ * Method to serve a mirrored icon, at
+ * `/icon/<owner>/<repo>.png?v=<version>`
+ * @param request {Request} The request from the worker
+ * @param env {{}} Environment Variables from worker request
+ * @returns {Promise<Response>} error Response or the icon
+ */
+async function icon_response(request, env) {
+    let url = new URL(request.url);
+    let version = url.searchParams.get("v");
+    let parts;
+    try {
+        parts = url.pathname.split('/').slice(2).map(decodeURIComponent);
+    } catch (e) {
+        // Malformed escapes cannot name a repository
+        return error_response(request, "no_icon");
+    }
+    if (parts.length !== 2 || parts[0] === "" || !parts[1].endsWith(".png") || !version || !env.AutoRepo_Store) {
+        return error_response(request, "no_icon");
+    }
+    let code_repo = parts[0] + "/" + parts[1].slice(0, -".png".length);
+
+    let icon = await env.AutoRepo_Store.getWithMetadata(icon_key(code_repo, version), {type: "arrayBuffer"});
+    if (icon.value === null) {
+        return error_response(request, "no_icon", {repo: code_repo, version: version});
+    }
+
+    return new Response(icon.value, {
+        headers: {
+            'Content-Type': 'image/png',
+            'Cache-Control': 'public, max-age=3600',
+            'ETag': '"' + icon.metadata.version + '"',
+        },
+    });
+}
+
+//endregion
+
+//region Dispatching
+/**
+ * Backends a build can be triggered with, selected by
+ * `Dispatch_Backend`
+ * @type {string[]}
+ */
+const dispatch_backends = ["comment", "repository_dispatch", "workflow_dispatch"];
+
+/**
+ * Method to send a `repository_dispatch` or `workflow_dispatch`
+ * event to AutoRepo to trigger a build.
+ * The trigger data is sent whole, as `client_payload.trigger` or
+ * the `trigger` input, since GitHub limits both to a handful of
+ * top-level properties.
+ * @param backend {string} `repository_dispatch` or
+ * `workflow_dispatch`
+ * @param trigger_data {{}} The data to trigger the build with,
+ * from parse_trigger()
+ * @param env {{}} Environment Variables from worker request
+ * @param request {Request} The request from the worker
+ * @returns {Promise<Response|boolean>} error Response or true
+ * @see https://docs.github.com/en/rest/repos/repos#create-a-repository-dispatch-event
+ * @see https://docs.github.com/en/rest/actions/workflows#create-a-workflow-dispatch-event
+ */
+async function post_dispatch_on_repo(backend, trigger_data, env, request) {
+    let dispatch_request = backend === "repository_dispatch"
+        ? new Request(worker_config(env).dispatch_url, {
+            method: 'POST',
+            headers: github_headers(env.Dispatch_Builds),
+            body: JSON.stringify({
+                event_type: env.Dispatch_Event_Type || "autorepo-trigger",
+                client_payload: {trigger: trigger_data},
+            }),
+        })
+        : new Request(worker_config(env).workflows_url + "/" + (env.Dispatch_Workflow || "parse_trigger.yml") + "/dispatches", {
+            method: 'POST',
+            headers: github_headers(env.Dispatch_Builds),
+            body: JSON.stringify({
+                ref: env.Dispatch_Ref || "main",
+                inputs: {trigger: JSON.stringify(trigger_data)},
+            }),
+        });
+
+    let dispatch_response = await github_fetch(dispatch_request, request);
+    if (dispatch_response.status !== 204) {
+        return error_response(request, "broken_github_dispatch", await dispatch_response.text());
+    }
+
+    return true;
+}
+
+/**
+ * Method to trigger a build with the backend selected by
+ * `Dispatch_Backend`, and to comment on the trigger issue if that
+ * is the backend or `Dispatch_Audit_Comment` keeps it as a log
+ * @param trigger_data {{}} The data to trigger the build with,
+ * from parse_trigger(), which is updated with how it was triggered
+ * @param env {{}} Environment Variables from worker request
+ * @param request {Request} The request from the worker
+ * @returns {Promise<Response|{}>} error Response or the trigger
+ * data
+ */
+async function dispatch_trigger(trigger_data, env, request) {
+    let backend = env.Dispatch_Backend || "comment";
+    if (!dispatch_backends.includes(backend)) {
+        return error_response(request, "unknown_dispatch_backend", backend);
+    }
+    trigger_data["dispatched_with"] = backend;
+    trigger_data["trigger_id"] = crypto.randomUUID();
+
+    if (backend !== "comment") {
+        let dispatch_response = await post_dispatch_on_repo(backend, trigger_data, env, request);
+        if (dispatch_response instanceof Response) {
+            return dispatch_response;
+        }
+
+        if (env.Dispatch_Audit_Comment !== "true") {
+            return trigger_data;
+        }
+    }
+
+    // Create comment on AutoRepo
+    let comment_response = await post_comment_on_repo(trigger_data, env, request);
+    if (comment_response instanceof Response) {
+        // The build was already dispatched, the comment was only a log
+        if (backend !== "comment") {
+            console.error(await comment_response.text());
+            return trigger_data;
+        }
+        return comment_response;
+    }
+    trigger_data["github_comment_made"] = comment_response["html_url"];
+
+    return trigger_data;
+}
+
+//endregion
+
+//region Coalescing
+/**
+ * Number of extra seconds a queued trigger is kept for, after its
+ * quiet period, in case the scheduled flush does not run
+ * @type {number}
+ */
+const pending_retention = 60 * 60 * 24;
+
+/**
+ * Method to get how long a source has to be quiet for before its
+ * queued trigger is built, from `Coalesce_Seconds`
+ * @param env {{}} Environment Variables from worker request
+ * @returns {number} The quiet period in seconds, or 0 if triggers
+ * are not coalesced (or there is no `AutoRepo_Store` to queue in)
+ */
+function get_quiet_period(env) {
+    let seconds = parseInt(env.Coalesce_Seconds);
+    if (!env.AutoRepo_Store || isNaN(seconds) || seconds <= 0) {
+        return 0;
+    }
+
+    return seconds;
+}
+
+/**
+ * Method to get the key a trigger is queued under, so that later
+ * pushes to the same branch of the same source, for the same
+ * targets and plugin, replace it
+ * @param trigger_data {{}} The trigger data from parse_trigger()
+ * @returns {string} The key in `AutoRepo_Store`
+ */
+function pending_key(trigger_data) {
+    return ("pending:" + trigger_data.target_repo + ":" + trigger_data.code_repo
+        + ":" + trigger_data.code_branch + ":" + trigger_data.target_name).toLowerCase();
+}
+
+/**
+ * Method to queue a trigger to be built once its source has been
+ * quiet for `Coalesce_Seconds`, replacing any trigger already
+ * queued for the same targets, plugin, source and branch.
+ * The deliveries of every coalesced hook are kept with it, to be
+ * remembered once it is built.
+ * @param trigger_data {{}} The trigger data from parse_trigger()
+ * @param counters {string[]} Output from check_trigger_limits()
+ * @param url {URL} The URL the hook was sent to
+ * @param digest {string|null} Output from get_payload_digest(), if
+ * the body was signed
+ * @param env {{}} Environment Variables from worker request
+ * @param request {Request} The request from the worker
+ * @returns {Promise<Response>} The Response telling the sender the
+ * build was queued
+ */
+async function queue_trigger(trigger_data, counters, url, digest, env, request) {
+    let quiet_period = get_quiet_period(env);
+    let key = pending_key(trigger_data);
+    let replaced = await env.AutoRepo_Store.get(key, {type: "json"});
+    let due = new Date(Date.now() + quiet_period * 1000).toISOString();
+
+    await env.AutoRepo_Store.put(
+        key,
+        JSON.stringify({
+            due: due,
+            url: request.url,
+            delivery: get_delivery(request),
+            deliveries: (replaced !== null ? replaced.deliveries : []).concat({
+                delivery: get_delivery(request),
+                digest: digest,
+                url: url.href,
+            }),
+            hooks: replaced !== null ? replaced.hooks + 1 : 1,
+            counters: counters,
+            trigger: trigger_data,
+        }),
+        {expirationTtl: quiet_period + pending_retention}
+    );
+
+    return new Response(JSON.stringify({
+        queued: true,
+        build_after: due,
+        coalesced_hooks: replaced !== null ? replaced.hooks + 1 : 1,
+        replaced_delivery: replaced !== null ? replaced.delivery : null,
+        trigger: trigger_data,
+    }, null, 4), {status: 202, headers: {'Content-Type': 'application/json'}});
+}
+
+/**
+ * Method to build every queued trigger whose quiet period is over,
+ * run by the worker's Cron Trigger
+ * @param env {{}} Environment Variables from worker request
+ * @param ctx {{}} The context of the scheduled event
+ * @returns {Promise<void>}
+ */
+async function flush_queue(env, ctx) {
+    if (!env.AutoRepo_Store) {
+        return;
+    }
+
+    let cursor = undefined;
+    do {
+        let list = await env.AutoRepo_Store.list({prefix: "pending:", cursor: cursor});
+        cursor = list.list_complete ? undefined : list.cursor;
+
+        for (let listed of list.keys) {
+            let pending = await env.AutoRepo_Store.get(listed.name, {type: "json"});
+            if (pending === null || new Date(pending.due) > new Date()) {
+                continue;
+            }
+            // Taken off the queue first, so a slow dispatch is not
+            // built again by the next flush
+            await env.AutoRepo_Store.delete(listed.name);
+
+            // Stand in for the hook that was queued last, for the
+            // error responses and reports
+            let request = new Request(pending.url, {
+                headers: pending.delivery ? {'X-GitHub-Delivery': pending.delivery} : {},
+            });
+            let log = start_request_log(request);
+            let trigger_data = pending.trigger;
+            let icon = await mirror_icon(trigger_data, true, env, request);
+            let dispatched = await dispatch_trigger(trigger_data, env, request);
+            let context = {key_owner: trigger_data.key_owner, hook: null, trigger: null, queued: false};
+            if (!(dispatched instanceof Response)) {
+                // Only remembered once built, so a failed build can
+                // be redelivered (triggers queued by older versions
+                // have no deliveries kept)
+                for (let queued of pending.deliveries || []) {
+                    await record_delivery(env, queued.delivery, queued.digest, new URL(queued.url), trigger_data);
+                }
+                await store_icon(trigger_data, icon, env);
+                await count_trigger(pending.counters, env);
+                await record_build(trigger_data, env);
+                await record_entries(trigger_data, env);
+                context.trigger = trigger_data;
+            }
+
+            let response = dispatched instanceof Response ? dispatched : new Response(null);
+            log.context = context;
+            write_request_log(log, response, request);
+            ctx.waitUntil(count_outcome(response, env, context));
+            ctx.waitUntil(report_outcome(response, request, env, context));
+            ctx.waitUntil(notify_discord(response, request, env, context));
+        }
+    } while (cursor !== undefined);
+}
+
+//endregion
+
+//region Published entries
+/**
+ * Method to get the key the published entries of a source
+ * repository are stored under
+ * @param code_repo {string} The full name of the source repository
+ * @returns {string} The key in `AutoRepo_Store`
+ */
+function entries_key(code_repo) {
+    return "entries:" + code_repo.toLowerCase();
+}
+
+/**
+ * Method to get the entry in the custom repo a trigger builds or
+ * removes
+ * @param trigger_data {{}} The trigger data from parse_trigger()
+ * @returns {{target_repo: string, target_name: string, branch: string}}
+ * The entry
+ */
+function entry_of(trigger_data) {
+    return {
+        target_repo: trigger_data.target_repo,
+        target_name: trigger_data.target_name,
+        branch: trigger_data.code_branch,
+    };
+}
+
+/**
+ * Method to find exactly which entries a removal should unpublish,
+ * from the entries the source repository's builds published.
+ * Without `AutoRepo_Store` to record them, a deleted branch falls
+ * back to the entry it would have been built as, and a deleted tag
+ * to none, as its release may since have been replaced.
+ * @param trigger_data {{}} The trigger data from parse_trigger()
+ * @param env {{}} Environment Variables from worker request
+ * @returns {Promise<{target_repo: string, target_name: string, branch: string}[]>}
+ * The entries to remove
+ */
+async function get_removal_entries(trigger_data, env) {
+    if (!env.AutoRepo_Store) {
+        return trigger_data.code_ref_type === "tag" ? [] : [entry_of(trigger_data)];
+    }
+    let recorded = await env.AutoRepo_Store.get(entries_key(trigger_data.code_repo), {type: "json"}) || {};
+
+    // Only entries of the same targets, which the key was checked for,
+    // and none if nothing was ever built from the branch
+    let entries = Object.values(recorded).filter(entry => entry.target_repo === trigger_data.target_repo);
+    if (trigger_data.code_ref_type !== "repository") {
+        entries = entries.filter(entry => entry.branch === trigger_data.code_branch);
+    }
+
+    return entries;
+}
+
+/**
+ * Method to keep the record of which entries the source
+ * repository's builds have published up to date, once a trigger
+ * is dispatched.
+ * KV cannot update the record atomically, so of two triggers of
+ * the same repository at the same moment, only one may be kept.
+ * @param trigger_data {{}} The trigger data, after it was
+ * dispatched
+ * @param env {{}} Environment Variables from worker request
+ * @returns {Promise<void>}
+ */
+async function record_entries(trigger_data, env) {
+    if (!env.AutoRepo_Store) {
+        return;
+    }
+
+    await without_failing("record the published entries", async () => {
+        let key = entries_key(trigger_data.code_repo);
+        let recorded = await env.AutoRepo_Store.get(key, {type: "json"}) || {};
+        let changed = trigger_data.action === "remove" ? trigger_data.remove_entries : [entry_of(trigger_data)];
+        for (let entry of changed) {
+            let name = entry.target_repo + ":" + entry.target_name;
+            if (trigger_data.action === "remove") {
+                delete recorded[name];
+            } else {
+                recorded[name] = entry;
+            }
+        }
+
+        await env.AutoRepo_Store.put(key, JSON.stringify(recorded));
+    });
+}
+
+//endregion
+
+//region Build results
+/**
+ * Number of seconds a dispatched trigger is remembered for, to
+ * match the result of its build to
+ * @type {number}
+ */
+const build_retention = 60 * 60 * 24 * 7;
+
+/**
+ * Context the results of builds are posted to source commits as
+ * @type {string}
+ */
+const status_context = "AutoRepo";
+
+/**
+ * `workflow_run` conclusions, as commit status states
+ * @type {Object<string, string>}
+ */
+const run_conclusions = {
+    success: "success",
+    failure: "failure",
+    timed_out: "failure",
+    startup_failure: "failure",
+};
+
+/**
+ * Method to remember a dispatched trigger by its `trigger_id`, so
+ * the result of its build can be posted to its source commit
+ * @param trigger_data {{}} The trigger data, after it was
+ * dispatched
+ * @param env {{}} Environment Variables from worker request
+ * @returns {Promise<void>}
+ */
+async function record_build(trigger_data, env) {
+    if (!env.AutoRepo_Store) {
+        return;
+    }
+
+    await without_failing("record the build", async () => {
+        await env.AutoRepo_Store.put(
+            "build:" + trigger_data.trigger_id,
+            JSON.stringify(trigger_data),
+            {expirationTtl: build_retention}
+        );
+    });
+}
+
+/**
+ * Method to read a build result from a `workflow_run` hook from
+ * AutoRepo, or from a callback signed by AutoRepo's workflow.
+ * A `workflow_run` is matched to its trigger by the `trigger_id`
+ * in its name, which AutoRepo's workflow sets with `run-name`.
+ * @param event {string|null} The X-GitHub-Event of the request
+ * @param payload {{}} The parsed body of the request
+ * @returns {{trigger_id: string, state: string, log_url: string|null,
+ * entry_url: string|null, sha: string|null, description: string|null}|null}
+ * The build result, or null if it is not one
+ */
+function get_build_result(event, payload) {
+    if (event === "workflow_run") {
+        let run = payload["workflow_run"] || {};
+        let match = ((run["display_title"] || "") + " " + (run["name"] || ""))
+            .match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/);
+        if (match === null) {
+            return null;
+        }
+
+        return {
+            trigger_id: match[0],
+            state: payload["action"] === "completed"
+                ? run_conclusions[run["conclusion"]] || "error"
+                : "pending",
+            log_url: run["html_url"] || null,
+            entry_url: null,
+            sha: null,
+            description: null,
+        };
+    }
+
+    if (typeof payload["trigger_id"] !== "string"
+        || !["pending", "success", "failure", "error"].includes(payload["state"])) {
+        return null;
+    }
+
+    return {
+        trigger_id: payload["trigger_id"],
+        state: payload["state"],
+        log_url: payload["log_url"] || null,
+        entry_url: payload["entry_url"] || null,
+        sha: payload["sha"] || null,
+        description: payload["description"] || null,
+    };
+}
+
+/**
+ * Method to get a token to post commit statuses on the source
+ * repository with, either `Write_Statuses` or an installation
+ * token of the GitHub App
+ * @param code_repo {string} The full name of the source repository
+ * @param env {{}} Environment Variables from worker request
+ * @param request {Request} The request from the worker
+ * @returns {Promise<string|null>} The token, or null if there is
+ * none for the repository
+ */
+async function get_status_token(code_repo, env, request) {
+    if (!env.App_Id) {
+        return env.Write_Statuses || null;
+    }
+
+    return await get_installation_token(code_repo, {statuses: "write"}, env, request);
+}
+
+/**
+ * Method to post the result of a build as commit statuses on the
+ * commit that was built, one linking to the build log and, once
+ * published, one linking to the custom repo entry
+ * @param trigger_data {{}} The trigger data the build was for
+ * @param result {{}} Output from get_build_result()
+ * @param env {{}} Environment Variables from worker request
+ * @param request {Request} The request from the worker
+ * @returns {Promise<Response|string[]>} error Response, or the
+ * contexts that were posted
+ * @see https://docs.github.com/en/rest/commits/statuses#create-a-commit-status
+ */
+async function post_build_status(trigger_data, result, env, request) {
+    let config = worker_config(env);
+    let token = await get_status_token(trigger_data.code_repo, env, request);
+    if (!token) {
+        return [];
+    }
+
+    // The SHA is only resolved now if neither AutoRepo nor the hook
+    // said which was built
+    let sha = result.sha || trigger_data.code_sha;
+    if (!sha) {
+        let headers = github_headers(token);
+        headers['Accept'] = 'application/vnd.github.sha';
+        let commit_response = await github_fetch(new Request(
+            config.api_url + "/repos/" + trigger_data.code_repo
+            + "/commits/" + encodeURIComponent(trigger_data.code_branch),
+            {method: 'GET', headers: headers}
+        ), request);
+        if (commit_response.status !== 200) {
+            return error_response(request, "broken_commit_status", await commit_response.text());
+        }
+        sha = (await commit_response.text()).trim();
+    }
+
+    let entry_url = result.entry_url;
+    if (entry_url === null && env.Entry_URL) {
+        entry_url = env.Entry_URL
+            .replace("{target_repo}", encodeURIComponent(trigger_data.target_repo))
+            .replace("{target_name}", encodeURIComponent(trigger_data.target_name));
+    }
+
+    let statuses = [{
+        state: result.state,
+        target_url: result.log_url,
+        description: result.description
+            || trigger_actions[trigger_data.action] + " of " + trigger_data.target_name + " " + {
+                pending: "is running",
+                success: "passed",
+                failure: "failed",
+                error: "did not finish",
+            }[result.state],
+        context: status_context,
+    }];
+    if (result.state === "success" && entry_url !== null && trigger_data.action !== "remove") {
+        statuses.push({
+            state: "success",
+            target_url: entry_url,
+            description: "Published to " + trigger_data.target_repo,
+            context: status_context + " / Entry",
+        });
+    }
+
+    for (let status of statuses) {
+        let status_response = await github_fetch(new Request(
+            config.api_url + "/repos/" + trigger_data.code_repo + "/statuses/" + sha,
+            {method: 'POST', headers: github_headers(token), body: JSON.stringify(status)}
+        ), request);
+        if (status_response.status !== 201) {
+            return error_response(request, "broken_commit_status", await status_response.text());
+        }
+    }
+
+    return statuses.map(status => status.context);
+}
+
+/**
+ * Method to receive the result of a build from AutoRepo at
+ * `/callback`, signed with `Callback_Secret`, and post it to the
+ * commit that was built
+ * @param request {Request} The request from the worker
+ * @param env {{}} Environment Variables from worker request
+ * @returns {Promise<Response>} error Response or what was posted
+ */
+async function callback_response(request, env) {
+    let body = await request.text();
+    let signature = request.headers.get("x-hub-signature-256");
+    if (!env.Callback_Secret || !signature || !signature.startsWith("sha256=")
+        || !await verifySignature(env.Callback_Secret, signature, body)) {
+        return error_response(request, "non_permissible_callback");
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(body);
+    } catch (e) {
+        return error_response(request, "malformed_payload", e.message);
+    }
+
+    let event = request.headers.get("x-github-event");
+    if (event === "ping") {
+        return new Response(JSON.stringify({valid: true, event: event}, null, 4),
+            {headers: {'Content-Type': 'application/json'}});
+    }
+    let result = get_build_result(event, payload);
+    if (result === null) {
+        return error_response(request, "malformed_callback");
+    }
+
+    let trigger_data = env.AutoRepo_Store
+        ? await env.AutoRepo_Store.get("build:" + result.trigger_id, {type: "json"})
+        : null;
+    if (trigger_data === null) {
+        return error_response(request, "unknown_trigger", result.trigger_id);
+    }
+
+    // Statuses can only be posted to GitHub
+    let posted = [];
+    if (trigger_data.code_provider === "github") {
+        try {
+            posted = await post_build_status(trigger_data, result, env, request);
+        } catch (e) {
+            return error_response(request, "broken_commit_status", e.message);
+        }
+        if (posted instanceof Response) {
+            return posted;
+        }
+    }
+
+    return new Response(JSON.stringify({
+        trigger_id: result.trigger_id,
+        code_repo: trigger_data.code_repo,
+        state: result.state,
+        posted: posted,
+    }, null, 4), {headers: {'Content-Type': 'application/json'}});
+}
+
+//endregion
+
+//region Error reporting
+/**
+ * Label the tracking issue for configuration errors is found by
+ * @type {string}
+ */
+const error_issue_label = "worker-error";
+
+/**
+ * Marker of the hidden comment in the tracking issue's body that
+ * holds the errors seen so far
+ * @type {string}
+ */
+const error_issue_marker = "autorepo-worker-errors";
+
+/**
+ * Method to get the open tracking issues for configuration errors
+ * @param env {{}} Environment Variables from worker request
+ * @returns {Promise<*[]>} The open tracking issues, normally only
+ * one
+ */
+async function get_error_issues(env) {
+    let issues_response = await fetch(new Request(
+        worker_config(env).issues_url + "?state=open&labels=" + error_issue_label,
+        {method: 'GET', headers: github_headers(env.Issue_Comment)}
+    ));
+    if (issues_response.status !== 200) {
+        throw new Error("Could not list error issues: " + await issues_response.text());
+    }
+
+    return await issues_response.json();
+}
+
+/**
+ * Method to render the tracking issue's body from the errors seen
+ * @param seen {{}} The errors seen, keyed by their code
+ * @returns {string} The Markdown body of the tracking issue
+ */
+function render_error_issue(seen) {
+    let body = "The worker is running into configuration errors on AutoRepo.\n"
+        + "This issue is updated with each error, and closed once a "
+        + "trigger succeeds again.\n\n"
+        + "| Error | Code | Count | First Seen | Last Seen | Last Delivery | Key Owner |\n"
+        + "|-------|------|-------|------------|-----------|---------------|-----------|\n";
+
+    for (let code in seen) {
+        let error = seen[code];
+        body += "| " + errors[code].message
+            + " | `" + code + "`"
+            + " | " + error.count
+            + " | " + error.first_seen
+            + " | " + error.last_seen
+            + " | `" + error.delivery + "`"
+            + " | " + (error.key_owner !== null ? "`" + error.key_owner + "`" : "-")
+            + " |\n";
+    }
+
+    return body + "\n<!-- " + error_issue_marker + "\n" + JSON.stringify(seen) + "\n-->";
+}
+
+/**
+ * Method to open or update the tracking issue with a
+ * configuration error, one table row per error code
+ * @param env {{}} Environment Variables from worker request
+ * @param code {string} The key of the error in `errors`
+ * @param delivery {string} The X-GitHub-Delivery of the hook
+ * @param key_owner {string|null} The owner of the key that was
+ * used, if it was verified yet
+ * @returns {Promise<void>}
+ */
+async function report_error(env, code, delivery, key_owner) {
+    let issue = (await get_error_issues(env))[0];
+    let now = new Date().toISOString();
+
+    // Read the errors already in the issue
+    let seen = {};
+    if (issue !== undefined) {
+        let match = (issue.body || "").match(
+            new RegExp("<!-- " + error_issue_marker + "\\n(.*)\\n-->", "s")
+        );
+        if (match) {
+            seen = JSON.parse(match[1]);
+        }
+    }
+
+    // Update this error's row
+    seen[code] = {
+        count: code in seen ? seen[code].count + 1 : 1,
+        first_seen: code in seen ? seen[code].first_seen : now,
+        last_seen: now,
+        delivery: delivery,
+        key_owner: key_owner,
+    };
+
+    let issue_response = await fetch(new Request(
+        issue !== undefined ? issue.url : worker_config(env).issues_url,
+        {
+            method: issue !== undefined ? 'PATCH' : 'POST',
+            headers: github_headers(env.Issue_Comment),
+            body: JSON.stringify({
+                title: "AutoRepo-Worker Configuration Errors",
+                body: render_error_issue(seen),
+                labels: [error_issue_label],
+            }),
+        }
+    ));
+    if (!issue_response.ok) {
+        throw new Error("Could not report error: " + await issue_response.text());
+    }
+}
+
+/**
+ * Method to close the tracking issue once a trigger succeeds
+ * @param env {{}} Environment Variables from worker request
+ * @param delivery {string} The X-GitHub-Delivery of the
+ * successful hook
+ * @returns {Promise<void>}
+ */
+async function resolve_errors(env, delivery) {
+    for (let issue of await get_error_issues(env)) {
+        await fetch(new Request(issue.comments_url, {
+            method: 'POST',
+            headers: github_headers(env.Issue_Comment),
+            body: JSON.stringify({
+                body: "Resolved: delivery `" + delivery + "` triggered successfully.",
+            }),
+        }));
+        await fetch(new Request(issue.url, {
+            method: 'PATCH',
+            headers: github_headers(env.Issue_Comment),
+            body: JSON.stringify({state: "closed", state_reason: "completed"}),
+        }));
+    }
+}
+
+/**
+ * Method to report the outcome of a trigger to the tracking
+ * issue: configuration errors are added to it, and triggered
+ * builds close it
+ * @param response {Response} The Response from handle_trigger()
+ * @param request {Request} The request from the worker
+ * @param env {{}} Environment Variables from worker request
+ * @param context {{}} What handle_trigger() learned about the
+ * request
+ * @returns {Promise<void>}
+ */
+async function report_outcome(response, request, env, context) {
+    let code = response.headers.get("X-AutoRepo-Error");
+    let delivery = get_delivery(request);
+
+    await without_failing("report the outcome", async () => {
+        // Only a build that was actually triggered shows the errors
+        // are fixed, not ignored events, pings, dry runs or queued pushes
+        if (code === null && response.ok
+            && context.trigger !== null && !context.dry_run && !context.queued) {
+            await resolve_errors(env, delivery);
+        } else if (code !== null && errors[code].report) {
+            await report_error(env, code, delivery, context.key_owner);
+        }
+    });
+}
+
+//endregion
+
+//region Discord notifications
+/**
+ * Colours of the Discord embeds for successful and failed triggers
+ * @type {{success: number, failure: number}}
+ */
+const discord_colours = {success: 0x2ea043, failure: 0xda3633};
+
+/**
+ * Method to post an embed to a Discord webhook
+ * @param webhook_url {string} The Discord webhook to post to
+ * @param embed {{}} The embed to post
+ * @returns {Promise<void>}
+ * @see https://discord.com/developers/docs/resources/webhook#execute-webhook
+ */
+async function post_discord_embed(webhook_url, embed) {
+    let discord_response = await fetch(new Request(webhook_url, {
+        method: 'POST',
+        headers: {
+            'User-Agent': 'AutoRepo-Worker',
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            username: "AutoRepo-Worker",
+            embeds: [{
+                ...embed,
+                footer: {text: "worker version: " + version},
+                timestamp: new Date().toISOString(),
+            }],
+        }),
+    }));
+    if (!discord_response.ok) {
+        throw new Error("Could not notify Discord: " + await discord_response.text());
+    }
+}
+
+/**
+ * Method to notify Discord of the outcome of a trigger: builds
+ * that were triggered go to `Discord_Triggers`, and signature,
+ * ACL and API failures go to `Discord_Failures`.
+ * Either channel is skipped if its webhook is not set.
+ * @param response {Response} The Response from handle_trigger()
+ * @param request {Request} The request from the worker
+ * @param env {{}} Environment Variables from worker request
+ * @param context {{}} What handle_trigger() learned about the
+ * request
+ * @returns {Promise<void>}
+ */
+async function notify_discord(response, request, env, context) {
+    let code = response.headers.get("X-AutoRepo-Error");
+
+    await without_failing("notify Discord", async () => {
+        if (context.trigger !== null && !context.queued && env.Discord_Triggers) {
+            let trigger_data = context.trigger;
+            let fields = [
+                {
+                    name: "Source",
+                    value: "[" + trigger_data.code_repo + ":" + trigger_data.code_branch + "]("
+                        + trigger_data.code_url + providers[trigger_data.code_provider].tree
+                        + trigger_data.code_branch + ")"
+                        + (trigger_data.code_private ? " (private)" : ""),
+                },
+                {name: "Key Owner", value: trigger_data.key_owner, inline: true},
+                {name: "Target Repositories", value: trigger_data.target_repo, inline: true},
+            ];
+            if (trigger_data.github_comment_made) {
+                fields.push({name: "Trigger Comment", value: trigger_data.github_comment_made});
+            } else {
+                fields.push({name: "Dispatched With", value: "`" + trigger_data.dispatched_with + "`"});
+            }
+
+            await post_discord_embed(env.Discord_Triggers, {
+                title: trigger_actions[trigger_data.action] + " Triggered: " + trigger_data.target_name,
+                url: trigger_data.github_comment_made,
+                color: discord_colours.success,
+                fields: fields,
+            });
+        } else if (code !== null && errors[code].notify && env.Discord_Failures) {
+            let fields = [
+                {name: "Code", value: "`" + code + "`", inline: true},
+                {name: "Delivery", value: "`" + get_delivery(request) + "`", inline: true},
+                {name: "Path", value: "`" + new URL(request.url).pathname + "`"},
+            ];
+            if (context.key_owner !== null) {
+                fields.push({name: "Key Owner", value: context.key_owner, inline: true});
+            }
+
+            await post_discord_embed(env.Discord_Failures, {
+                title: "Trigger Failed: " + errors[code].message,
+                color: discord_colours.failure,
+                fields: fields,
+            });
+        }
+    });
+}
+
+//endregion
+
+//region History
+/**
+ * Number of triggers kept in the history of each source repository
+ * @type {number}
+ */
+const history_limit = 50;
+
+/**
+ * Method to get the key a source repository's history is stored
+ * under
+ * @param code_repo {string} The full name of the source repository
+ * @returns {string} The key in `AutoRepo_Store`
+ */
+function history_key(code_repo) {
+    return "history:" + code_repo.toLowerCase();
+}
+
+/**
+ * Method to record the outcome of a hook in the history of its
+ * source repository, if it was signed with a key, as unsigned
+ * hooks can claim to be from any repository
+ * @param response {Response} The Response from handle_trigger()
+ * @param request {Request} The request from the worker
+ * @param env {{}} Environment Variables from worker request
+ * @param context {{}} What handle_trigger() learned about the
+ * request
+ * @returns {Promise<void>}
+ */
+async function record_history(response, request, env, context) {
+    let repository = context.hook !== null ? context.hook.payload["repository"] : undefined;
+    if (!env.AutoRepo_Store || context.key_owner === null || !repository || !repository["full_name"]) {
+        return;
+    }
+
+    await without_failing("record the history", async () => {
+        let code = response.headers.get("X-AutoRepo-Error");
+        let trigger_data = context.trigger;
+        let event_ref = get_event_ref(context.hook.event, context.hook.payload);
+        let entry = {
+            time: new Date().toISOString(),
+            delivery: get_delivery(request),
+            provider: context.hook.provider,
+            event: context.hook.event,
+            branch: trigger_data !== null ? trigger_data.code_branch : (event_ref.ref || null),
+            private: !!repository["private"],
+            outcome: get_outcome(response, context),
+            code: code,
+            status: response.status,
+            key_owner: context.key_owner,
+            target_repo: trigger_data !== null ? trigger_data.target_repo : null,
+            target_name: trigger_data !== null ? trigger_data.target_name : null,
+            comment: trigger_data !== null ? (trigger_data.github_comment_made || null) : null,
+        };
+
+        let key = history_key(repository["full_name"]);
+        let history = await env.AutoRepo_Store.get(key, {type: "json"}) || [];
+        history.unshift(entry);
+        await env.AutoRepo_Store.put(key, JSON.stringify(history.slice(0, history_limit)));
+    });
+}
+
+/**
+ * Method to escape text for HTML
+ * @param text {*} The text to escape
+ * @returns {string} The escaped text
+ */
+function escape_html(text) {
+    return String(text === null || text === undefined ? "" : text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * Method to render a source repository's history as a simple page
+ * @param code_repo {string} The full name of the source repository
+ * @param branch {string|null} The branch the history is limited to
+ * @param history {*[]} The recorded triggers, newest first
+ * @returns {string} The HTML page
+ */
+function render_status_page(code_repo, branch, history) {
+    let title = code_repo + (branch !== null ? ":" + branch : "");
+    let rows = history.map(entry => "<tr class=\"" + escape_html(entry.outcome) + "\">"
+        + "<td><time>" + escape_html(entry.time) + "</time></td>"
+        + "<td>" + escape_html(entry.branch) + "</td>"
+        + "<td>" + escape_html(entry.event) + "</td>"
+        + "<td>" + escape_html(entry.outcome) + "</td>"
+        + "<td><code>" + escape_html(entry.code) + "</code></td>"
+        + "<td>" + escape_html(entry.target_repo) + "</td>"
+        + "<td>" + (entry.comment
+            ? "<a href=\"" + escape_html(entry.comment) + "\">trigger</a>"
+            : "") + "</td>"
+        + "<td><code>" + escape_html(entry.delivery) + "</code></td>"
+        + "</tr>").join("\n");
+
+    return "<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n"
+        + "<meta charset=\"utf-8\">\n"
+        + "<title>AutoRepo Triggers: " + escape_html(title) + "</title>\n"
+        + "<style>"
+        + "body{font-family:sans-serif;margin:2em}"
+        + "table{border-collapse:collapse}"
+        + "td,th{border:1px solid #ccc;padding:.3em .6em;text-align:left}"
+        + ".accepted{background:#e6ffec}.rejected{background:#ffebe9}"
+        + "</style>\n</head>\n<body>\n"
+        + "<h1>Recent triggers of " + escape_html(title) + "</h1>\n"
+        + "<table>\n<tr><th>Time</th><th>Branch</th><th>Event</th><th>Outcome</th>"
+        + "<th>Code</th><th>Targets</th><th>Comment</th><th>Delivery</th></tr>\n"
+        + rows
+        + "\n</table>\n"
+        + "<p><small>worker version: " + escape_html(version) + "</small></p>\n"
+        + "</body>\n</html>";
+}
 
 /**
- * Method to call the majority of the methods above,
- * searching for the desired triggers, and forming a standard
- * struct to create a build-triggering comment with.
- * @param used_key {string} The owner of the key that was used
- * @param url {URL} The URL from Cloudflare built into a URL
- * object
- * @param payload {string} The body of the request from GitHub
- * @returns {Response|{}} error Response or object of trigger data
+ * Method to show the recent triggers of a source repository, for
+ * requests to /status/<owner>/<repo>[/<branch>], as JSON or as a
+ * page for browsers.
+ * Triggers from private repositories are only shown with the
+ * `Admin_Key` as a bearer token.
+ * @param request {Request} The request from the worker
+ * @param env {{}} Environment Variables from worker request
+ * @returns {Promise<Response>} error Response or the history
  */
-function parse_trigger(used_key, url, payload) {
-    // URL Parts
-    let endpoint = url.pathname;
-    let destination = get_url_parts(endpoint);
-    if (destination.length < 1) {
-        return new Response("{'error': 'Non-Permissible Trigger'}");
+async function status_response(request, env) {
+    let parts;
+    try {
+        parts = new URL(request.url).pathname.split('/').slice(2).map(decodeURIComponent);
+    } catch (e) {
+        // Malformed escapes cannot name a repository
+        return error_response(request, "no_history");
+    }
+    if (parts.length < 2 || parts[0] === "" || parts[1] === "" || !env.AutoRepo_Store) {
+        return error_response(request, "no_history");
     }
+    let code_repo = parts[0] + "/" + parts[1];
+    let branch = parts.length > 2 && parts[2] !== "" ? parts.slice(2).join('/') : null;
 
-    // URL parameters
-    let getParams = {};
-    for (const [key, value] of url.searchParams)
-        getParams[key] = value;
+    let admin = !!env.Admin_Key
+        && request.headers.get("Authorization") === "Bearer " + env.Admin_Key;
+    let history = (await env.AutoRepo_Store.get(history_key(code_repo), {type: "json"}) || [])
+        .filter(entry => admin || !entry.private)
+        .filter(entry => branch === null || entry.branch === branch);
+    if (history.length === 0) {
+        return error_response(request, "no_history", {repo: code_repo, branch: branch});
+    }
 
-    // Check Payload
-    payload = JSON.parse(payload);
-    if (!("repository" in payload)) {
-        return new Response("{'error': 'Unexpected Request Body'}");
+    if ((request.headers.get("Accept") || "").includes("text/html")) {
+        return new Response(render_status_page(code_repo, branch, history), {
+            headers: {'Content-Type': 'text/html; charset=utf-8'},
+        });
     }
 
-    // Check payload if not enough data provided otherwise
-    let main_and_test_not_set = !("test" in getParams) && !("main" in getParams);
-    let branch = "";
-    if (!("ref" in payload)) {
-        if (main_and_test_not_set) {
-            return new Response("{'error': 'No Branch Provided'}");
-        } else {
-            if ("test" in getParams) {
-                branch = getParams["test"];
-            }
-            if ("main" in getParams) {
-                branch = getParams["main"];
+    return new Response(JSON.stringify({
+        repo: code_repo,
+        branch: branch,
+        triggers: history,
+    }, null, 4), {headers: {'Content-Type': 'application/json'}});
+}
+
+//endregion
+
+//region Metrics
+/**
+ * Method to escape a Prometheus label value
+ * @param value {string} The value to escape
+ * @returns {string} The escaped value
+ */
+function escape_label(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Method to count the outcome of a trigger, in total and for the
+ * key that was used
+ * @param response {Response} The Response from handle_trigger()
+ * @param env {{}} Environment Variables from worker request
+ * @param context {{}} What handle_trigger() learned about the
+ * request
+ * @returns {Promise<void>}
+ */
+async function count_outcome(response, env, context) {
+    if (!env.AutoRepo_Store) {
+        return;
+    }
+
+    await without_failing("count the outcome", async () => {
+        let outcome = get_outcome(response, context);
+        let counters = ["metric:outcome:" + outcome + ":" + (response.headers.get("X-AutoRepo-Error") || "")];
+        if (context.key_owner !== null) {
+            counters.push("metric:key:" + context.key_owner + ":" + outcome);
+        }
+
+        for (let counter of counters) {
+            let count = parseInt(await env.AutoRepo_Store.get(counter)) || 0;
+            await env.AutoRepo_Store.put(counter, String(count + 1));
+        }
+    });
+}
+
+/**
+ * Method to serve the counted outcomes at `/metrics`, in
+ * Prometheus' text format, to `Metrics_Key` or `Admin_Key` as a
+ * bearer token
+ * @param request {Request} The request from the worker
+ * @param env {{}} Environment Variables from worker request
+ * @returns {Promise<Response>} error Response or the metrics
+ * @see https://prometheus.io/docs/instrumenting/exposition_formats/#text-based-format
+ */
+async function metrics_response(request, env) {
+    let authorization = request.headers.get("Authorization");
+    let allowed = [env.Metrics_Key, env.Admin_Key].filter(key => !!key);
+    if (!allowed.some(key => authorization === "Bearer " + key)) {
+        return error_response(request, "non_permissible_admin");
+    }
+
+    let outcomes = [];
+    let keys = [];
+    let cursor = undefined;
+    while (env.AutoRepo_Store) {
+        let list = await env.AutoRepo_Store.list({prefix: "metric:", cursor: cursor});
+        for (let listed of list.keys) {
+            let count = parseInt(await env.AutoRepo_Store.get(listed.name)) || 0;
+            let parts = listed.name.split(':');
+            if (parts[1] === "outcome") {
+                outcomes.push('autorepo_triggers_total{outcome="' + escape_label(parts[2])
+                    + '",code="' + escape_label(parts.slice(3).join(':')) + '"} ' + count);
+            } else if (parts[1] === "key") {
+                keys.push('autorepo_key_triggers_total{key="' + escape_label(parts.slice(2, -1).join(':'))
+                    + '",outcome="' + escape_label(parts[parts.length - 1]) + '"} ' + count);
             }
         }
-    } else {
-        branch = payload["ref"].split('/').slice(2).join('/'); // trim "refs/heads/"
+        if (list.list_complete) {
+            break;
+        }
+        cursor = list.cursor;
     }
 
-    // Build base trigger data
-    let trigger = {
-        worker_version: version,
-        key_owner: used_key.charAt(0).toUpperCase() + used_key.slice(1)
-                                                              .toLowerCase(),
-        target_repo: destination.join(','),
-        target_name: "target_name" in getParams
-            ? getParams["target_name"].replace(/_/g, ' ')
-            : payload["repository"]["name"],
-        branch_main: null,
-        branch_main_build: "main" in getParams ? getParams["main"] : "Release",
-        branch_test: null,
-        branch_test_build: "test" in getParams ? getParams["test"] : "Debug",
-        code_repo: payload["repository"]["full_name"],
-        code_private: payload["repository"]["private"],
-        code_owner: payload["repository"]["owner"]["login"],
-        code_url: payload["repository"]["html_url"],
-        code_branch: branch,
-        code_icon: "icon" in getParams ? getParams["icon"] : null,
-    };
+    return new Response([
+        "# HELP autorepo_triggers_total Hooks and API triggers handled, by outcome and error code.",
+        "# TYPE autorepo_triggers_total counter",
+        ...outcomes,
+        "# HELP autorepo_key_triggers_total Hooks and API triggers handled for each key, by outcome.",
+        "# TYPE autorepo_key_triggers_total counter",
+        ...keys,
+    ].join('\n') + '\n', {headers: {'Content-Type': 'text/plain; version=0.0.4'}});
+}
 
-    // Build out additional trigger data
-    // Get branch data
-    if ("main" in getParams) {
-        trigger["branch_main"] = getParams["main"];
+//endregion
+
+//region Trigger API
+/**
+ * Fields the body of `/api/trigger` can have, besides the
+ * parameters in repo_config_schema
+ * @type {string[]}
+ */
+const api_fields = ["repo", "branch", "tag", "targets", "timestamp", "dry_run"];
+
+/**
+ * Number of seconds a signed `/api/trigger` body's `timestamp` can
+ * be off by, so a captured body cannot be replayed later
+ * @type {number}
+ */
+const api_timestamp_window = 5 * 60;
+
+/**
+ * Method to verify the key used for `/api/trigger`, either sent
+ * whole as a bearer token, or used for an HMAC of the body in
+ * `X-AutoRepo-Signature`
+ * @param keys {{}} The keys from the AutoRepo repository,
+ * from get_allowed_keys()
+ * @param request {Request} The request from the worker
+ * @param body {string} The raw body of the request
+ * @returns {Promise<Response|string>} error Response or used
+ * key's name
+ */
+async function verify_api_key(keys, request, body) {
+    let authorization = request.headers.get("Authorization") || "";
+    let signature = request.headers.get("X-AutoRepo-Signature") || "";
+
+    for (let name in keys) {
+        if (meta_variables.includes(name.toLowerCase())) {
+            continue;
+        }
+
+        let verified = authorization.startsWith("Bearer ")
+            ? timing_safe_equal(authorization.slice("Bearer ".length), keys[name])
+            : signature.startsWith("sha256=") && await verifySignature(keys[name], signature, body);
+        if (verified) {
+            return name.toLowerCase();
+        }
     }
-    if ("test" in getParams) {
-        trigger["branch_test"] = getParams["test"];
+
+    return error_response(request, "non_permissible_key");
+}
+
+/**
+ * Method to check the body of `/api/trigger`
+ * @param body {*} The parsed body of the request
+ * @param signed {boolean} Whether the body was signed, rather than
+ * sent with a bearer token
+ * @returns {string[]} Problems with the body
+ */
+function validate_api_body(body, signed) {
+    if (typeof body !== "object" || body === null || Array.isArray(body)) {
+        return ["The body must be a JSON object"];
     }
-    // Add branch to name when not main or test (or main and test not set)
-    let branch_not_main_or_test = trigger["branch_main"] !== trigger["code_branch"]
-        && trigger["branch_test"] !== trigger["code_branch"];
-    if (branch_not_main_or_test || main_and_test_not_set) {
-        trigger["target_name"] = trigger["target_name"] + " (" + trigger["code_branch"] + ")";
+
+    let problems = [];
+    for (let key in body) {
+        if (!api_fields.includes(key) && !(key in repo_config_schema)) {
+            problems.push("`" + key + "` is not a known field, expected one of: "
+                + api_fields.concat(Object.keys(repo_config_schema)).join(', '));
+        }
     }
-    // Fallback to make sure a branch is specified
-    if (main_and_test_not_set) {
-        trigger["branch_main"] = trigger["code_branch"];
+    if (typeof body["repo"] !== "string" || !/^[\w.-]+\/[\w.-]+$/.test(body["repo"])) {
+        problems.push("`repo` must be the `owner/repo` of the plugin repository");
+    }
+    if ((typeof body["branch"] === "string") === (typeof body["tag"] === "string")) {
+        problems.push("One of `branch` or `tag` must be given");
     }
+    if (!Array.isArray(body["targets"]) || body["targets"].length === 0
+        || body["targets"].some(target => typeof target !== "string" || !/^[\w.-]+$/.test(target))) {
+        problems.push("`targets` must be a list of the repos to trigger the plugin into");
+    }
+    if (signed && typeof body["timestamp"] !== "number") {
+        problems.push("`timestamp` must be the Unix time the body was signed at");
+    }
+    problems.push(...validate_repo_config(Object.fromEntries(
+        Object.entries(body).filter(([key]) => key in repo_config_schema)
+    )));
 
-    return trigger;
+    return problems;
 }
 
 /**
- * Method to create a comment on the AutoRepo repository to
- * trigger a build
- * @param trigger_data {{}} The data to create the comment
- * with, from parse_trigger()
+ * Method to build a hook for `/api/trigger` as if GitHub had sent
+ * it, from the repository and commit the body names, so it can be
+ * parsed like any other
+ * @param body {{}} The checked body of the request
  * @param env {{}} Environment Variables from worker request
- * @returns {Promise<Response|any>}
+ * @param request {Request} The request from the worker
+ * @returns {Promise<Response|{provider: string, event: string, payload: {}}>}
+ * error Response or the hook
  */
-async function post_comment_on_repo(trigger_data, env) {
-    //region Create Comment on AutoRepo
-    let comment_request = new Request(comment_url, {
-        method: 'POST',
-        headers: {
-            'User-Agent': 'AutoRepo-Worker',
-            'Accept': 'application/vnd.github+json',
-            'Authorization': 'Bearer ' + env.Issue_Comment,
-            'X-GitHub-Api-Version': '2022-11-28',
-        }, body: JSON.stringify({
-            body:
-            // Build triggered by X's key for X/Y:Z.
-                "Build triggered by **_"
-                + trigger_data.key_owner.split('__')[0]
-                + "_**'s key for ["
-                + trigger_data.code_repo
-                + ":" + trigger_data.code_branch + ""
-                + "]("
-                + trigger_data.code_url + "/tree/" + trigger_data.code_branch + ")"
-                + (trigger_data.code_private ? " (private)" : "")
-
-                + ".\n\n"
-
-                // Target Name: X
-                + "- **Target Name**: `" + trigger_data.target_name + "`\n" //3
-                // Target Repository: X
-                + "- **Target Repository**: `" + trigger_data.target_repo + "`\n" //4
-                // Main Branch: X (with Y config)
-                + "- **Main Branch**: `"
-                + (trigger_data.branch_main !== null
-                    ? trigger_data.branch_main + "`" + " (with `" + trigger_data.branch_main_build + "` config)"
-                    : "<null>`")
-                + "\n"
-                // Test Branch: X (with Y config)
-                + "- **Test Branch**: `"
-                + (trigger_data.branch_test !== null
-                    ? trigger_data.branch_test + "`" + " (with `" + trigger_data.branch_test_build + "` config)"
-                    : "<null>`")
-                + "\n"
-
-                + "\n\n\n"
-                + "<details><summary>Raw Trigger Data</summary>"
-                + "\n\n\n```json\n"
-                + JSON.stringify(trigger_data, null, 4)
-                + "\n```\n\n</details>"
-
-                + "\n\n> (worker version: <kbd>" + trigger_data.worker_version + "</kbd>)"
-        })
-    });
-    let comment_response = await fetch(comment_request);
-    if (comment_response.status !== 201) {
-        return new Response(
-            "{'error': 'Broken GitHub Comment',"
-            + "'errorDetails': '" + await comment_response.text() + "'}"
-        );
+async function get_api_hook(body, env, request) {
+    let config = worker_config(env);
+    let ref = body["branch"] || body["tag"];
+    let details = {repo: body["repo"], ref: ref, help: source_access_help(body["repo"], env)};
+
+    let repository, commit;
+    try {
+        // Private repositories can only be read with the source token
+        let token = await get_source_token(body["repo"], env, request) || env.Read_Keys;
+        let repo_response = await github_fetch(new Request(
+            config.api_url + "/repos/" + body["repo"],
+            {method: 'GET', headers: github_headers(token)}
+        ), request);
+        if (repo_response.status === 404 || repo_response.status === 403) {
+            return error_response(request, "inaccessible_source_repository", details);
+        }
+        if (repo_response.status !== 200) {
+            return error_response(request, "broken_source_access", await repo_response.text());
+        }
+        repository = await repo_response.json();
+
+        let commit_response = await github_fetch(new Request(
+            config.api_url + "/repos/" + body["repo"] + "/commits/" + encodeURIComponent(ref),
+            {method: 'GET', headers: github_headers(token)}
+        ), request);
+        if (commit_response.status === 404 || commit_response.status === 422) {
+            return error_response(request, "unexpected_request_body", [
+                "`" + ref + "` is not a " + (body["tag"] ? "tag" : "branch") + " of " + body["repo"],
+            ]);
+        }
+        if (commit_response.status !== 200) {
+            return error_response(request, "broken_source_access", await commit_response.text());
+        }
+        commit = await commit_response.json();
+    } catch (e) {
+        return error_response(request, "broken_source_access", e.message);
     }
 
-    return await comment_response.json();
+    if (body["tag"]) {
+        return {
+            provider: "github",
+            event: "create",
+            payload: {repository: repository, ref: ref, ref_type: "tag"},
+        };
+    }
+
+    return {
+        provider: "github",
+        event: "push",
+        payload: {
+            repository: repository,
+            ref: "refs/heads/" + ref,
+            after: commit["sha"],
+            head_commit: {
+                id: commit["sha"],
+                message: commit["commit"]["message"],
+                url: commit["html_url"],
+                author: {
+                    name: commit["commit"]["author"]["name"],
+                    username: commit["author"] ? commit["author"]["login"] : undefined,
+                },
+            },
+            commits: [],
+        },
+    };
 }
 
-async function handleRequest(request, env) {
-    // redirect /worker to Cloudflare Just-Some-Plugins/AutoRepo-Worker
-    if (request.url.indexOf("/worker") !== -1) {
-        return Response.redirect(
-            "https://dash.cloudflare.com/63b1f563383cda4e40867831c23f90dd/workers/services/view/autorepo-worker/production",
-            301
-        );
+/**
+ * Method to trigger a build from `POST /api/trigger`, for scripts
+ * and rebuilding without pushing, through the same restrictions
+ * and parsing as a hook to the equivalent `/trigger/` URL
+ * @param request {Request} The request from the worker
+ * @param env {{}} Environment Variables from worker request
+ * @param context {{}} Filled with what is learned about the
+ * request, for reporting
+ * @returns {Promise<Response>} error Response or the trigger data
+ */
+async function api_trigger_response(request, env, context) {
+    let text = await request.text();
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (e) {
+        return error_response(request, "malformed_payload", e.message);
     }
-    // redirect /pages to Cloudflare Just-Some-Plugins/AutoRepo-Web
-    if (request.url.indexOf("/pages") !== -1) {
-        return Response.redirect(
-            "https://dash.cloudflare.com/63b1f563383cda4e40867831c23f90dd/pages/view/autorepo-web",
-            301
-        );
+
+    let keys = await get_allowed_keys(env, request);
+    if (keys instanceof Response) {
+        return keys;
     }
-    // redirect /trigger-issue to Just-Some-Plugins/AutoRepo/issues/1
-    if (request.url.indexOf("/trigger-issue") !== -1) {
-        return Response.redirect(
-            "https://github.com/Just-Some-Plugins/AutoRepo/issues/1",
-            301
-        );
+    let used_key = await verify_api_key(keys, request, text);
+    if (used_key instanceof Response && Date.now() - keys_cache.fetched > keys_retry_after * 1000) {
+        // The key may have been added since the Keys were cached
+        keys = await get_allowed_keys(env, request, true);
+        if (keys instanceof Response) {
+            return keys;
+        }
+        used_key = await verify_api_key(keys, request, text);
     }
-    // redirect /actions to Just-Some-Plugins/AutoRepo
-    if (request.url.indexOf("/actions") !== -1) {
-        return Response.redirect(
-            "https://github.com/Just-Some-Plugins/AutoRepo",
-            301
-        );
+    if (used_key instanceof Response) {
+        return used_key;
     }
-    // redirect /web to Just-Some-Plugins/AutoRepo-Web
-    if (request.url.indexOf("/web") !== -1) {
-        return Response.redirect(
-            "https://github.com/Just-Some-Plugins/AutoRepo-Web",
-            301
-        );
+    context.key_owner = used_key;
+
+    let signed = !(request.headers.get("Authorization") || "").startsWith("Bearer ");
+    let problems = validate_api_body(body, signed);
+    if (problems.length > 0) {
+        return error_response(request, "unexpected_request_body", problems);
     }
-    // redirect / to Just-Some-Plugins/AutoRepo-Worker
-    if (request.url.indexOf("/trigger") === -1) {
-        return Response.redirect(
-            "https://github.com/Just-Some-Plugins/AutoRepo-Worker",
-            301
-        );
+    if (signed && Math.abs(Date.now() / 1000 - body["timestamp"]) > api_timestamp_window) {
+        return error_response(request, "non_permissible_key", "`timestamp` is more than "
+            + api_timestamp_window + " seconds from now");
+    }
+
+    // Parsed as if it were sent to the /trigger/ URL with the same options
+    let url = new URL("/trigger/" + body["targets"].join('/'), request.url);
+    for (let key in body) {
+        if (key in repo_config_schema) {
+            url.searchParams.set(key, body[key]);
+        }
+    }
+    if (body["dry_run"] === true) {
+        url.searchParams.set("dry_run", "1");
+    }
+    context.dry_run = is_dry_run(url);
+
+    let hook = await get_api_hook(body, env, request);
+    if (hook instanceof Response) {
+        return hook;
     }
+    context.hook = hook;
+    // Bearer tokens are secret, so only signed bodies can be replayed
+    hook.digest = signed ? await get_payload_digest(text) : null;
+
+    return run_trigger(url, hook, used_key, keys, request, env, context);
+}
+
+//endregion
 
+/**
+ * Method to run a hook to /trigger/ through the restrictions,
+ * parse it, and create the build-triggering comment, or only
+ * reply with the trigger for pings and dry runs
+ * @param request {Request} The request from the worker
+ * @param env {{}} Environment Variables from worker request
+ * @param context {{}} Filled with what is learned about the
+ * request, for reporting
+ * @returns {Promise<Response>} error Response or the trigger data
+ */
+async function handle_trigger(request, env, context) {
     //region Worker restrictions
-    // Reject anything other than hookshot going to /trigger/
-    if (!request.headers.get("user-agent") ||
-        !request.headers.get("x-github-delivery") ||
-        !request.headers.get("x-github-event") ||
-        !request.headers.get("x-hub-signature-256") ||
-        !request.headers.get("user-agent").startsWith("GitHub-Hookshot") ||
-        !request.headers.get("x-hub-signature-256").startsWith("sha256=") ||
-        request.url.indexOf("trigger") === -1) {
-        return new Response("{'error': 'Non-Permissible Origin'}");
+    // Reject anything other than a signed hook from a known host,
+    // the router only sends /trigger/ and /validate/ here
+    let provider = get_provider(request);
+    if (provider === null) {
+        return error_response(request, "non_permissible_origin");
+    }
+    context.dry_run = is_dry_run(new URL(request.url));
+
+    // Read the hook, normalizing it into GitHub's shape
+    let payload = await request.text();
+    let hook;
+    try {
+        let body = JSON.parse(payload);
+        if (typeof body !== "object" || body === null || Array.isArray(body)) {
+            return error_response(request, "malformed_payload", "The body must be a JSON object");
+        }
+        hook = providers[provider].normalize(request.headers, body);
+    } catch (e) {
+        return error_response(request, "malformed_payload", e.message);
+    }
+    hook.provider = provider;
+    context.hook = hook;
+    let event = hook.event;
+
+    // Politely ignore events that are never built, before using any Keys
+    if (!supported_events.includes(event)) {
+        return ignored_response(request, event, "Unsupported event: " + event);
     }
     //endregion
 
     //region Key restrictions
     // Get valid Keys from AutoRepo's Variables
-    let keys = await get_allowed_keys(env);
+    let keys = await get_allowed_keys(env, request);
     if (keys instanceof Response) {
         return keys;
     }
 
     // Verify secrets sent against those from AutoRepo
-    let payload = JSON.stringify(await request.json());
-    let used_key = await verify_key(keys, request, payload);
+    let used_key = await verify_key(keys, request, payload, provider);
+    if (used_key instanceof Response && Date.now() - keys_cache.fetched > keys_retry_after * 1000) {
+        // The key may have been added since the Keys were cached
+        keys = await get_allowed_keys(env, request, true);
+        if (keys instanceof Response) {
+            return keys;
+        }
+        used_key = await verify_key(keys, request, payload, provider);
+    }
     if (used_key instanceof Response) {
         return used_key;
     }
+    context.key_owner = used_key;
+    hook.digest = await get_payload_digest(payload);
+    //endregion
+
+    return run_trigger(new URL(request.url), hook, used_key, keys, request, env, context);
+}
+
+/**
+ * Method to run a hook, once its key is verified, through the
+ * replay and repository restrictions, parse it, and trigger the
+ * build, or only reply with the trigger for pings and dry runs
+ * @param url {URL} The URL the hook was sent to, with the targets
+ * and parameters of the trigger
+ * @param hook {{provider: string, event: string, payload: {}, digest: string|null}}
+ * The hook, with its event and payload normalized into GitHub's
+ * shape, and the digest of its signed body
+ * @param used_key {string} The name of the key that was used
+ * @param keys {{}} Output from get_allowed_keys()
+ * @param request {Request} The request from the worker
+ * @param env {{}} Environment Variables from worker request
+ * @param context {{}} Filled with what is learned about the
+ * request, for reporting
+ * @returns {Promise<Response>} error Response or the trigger data
+ */
+async function run_trigger(url, hook, used_key, keys, request, env, context) {
+    let event = hook.event;
+
+    //region Replay protection
+    // Reject deliveries that already triggered a build, unless only
+    // checking what they would trigger, as pings always do
+    if (event === "ping") {
+        context.dry_run = true;
+    }
+    let dry_run = context.dry_run;
+    let warnings = [];
+    let seen = await delivery_seen(env, get_delivery(request), hook.digest, url);
+    if (seen !== null && dry_run) {
+        warnings.push("This delivery already triggered a build at " + seen.seen
+            + ", and would be rejected as `duplicate_delivery`");
+    } else if (seen !== null && !force_allowed(url, request, env)) {
+        return error_response(request, "duplicate_delivery", seen);
+    }
     //endregion
 
     //region Repository restrictions
     // Reject nonexistent repo options
-    const url = new URL(request.url);
     const url_parts = get_url_parts(url.pathname);
-    if (!repo_allowed(url_parts, keys)) {
-        return new Response("{'error': 'Non-Permissible Repository'}");
+    let allowed = repo_allowed(url_parts, keys, request);
+    if (allowed instanceof Response) {
+        return allowed;
+    }
+    if (!allowed) {
+        return error_response(request, "non_permissible_repository");
     }
 
     // Check if the repo is allowed for the key
-    if (!repo_allowed_for_key(url_parts, used_key, keys)) {
-        return new Response(
-            "{'error': 'Non-Permissible Repository for Key'," +
-            "'key': '" + used_key + "'," +
-            "'repos': '" + url_parts.join(', ') + "'}"
-        );
+    let allowed_for_key = repo_allowed_for_key(url_parts, used_key, keys, request);
+    if (allowed_for_key instanceof Response) {
+        return allowed_for_key;
+    }
+    if (!allowed_for_key) {
+        return error_response(request, "non_permissible_repository_for_key", {
+            key: used_key,
+            repos: url_parts,
+        });
     }
     //endregion
 
     // Parse request
-    let trigger_data = parse_trigger(used_key, url, payload);
+    let trigger_data = await parse_trigger(used_key, url, hook, request, env);
     if (trigger_data instanceof Response) {
         return trigger_data;
     }
 
-    // todo: if repo is private, check if the bot has access to it
+    // Check if the source and branch are allowed for the key
+    let source_allowed = source_allowed_for_key(trigger_data, used_key, keys, request);
+    if (source_allowed instanceof Response) {
+        return source_allowed;
+    }
 
-    // Create comment on AutoRepo
-    let comment_response = await post_comment_on_repo(trigger_data, env);
-    if (comment_response instanceof Response) {
-        return comment_response;
+    // Make sure the build will be able to fetch private repos
+    if (trigger_data.code_private && trigger_data.action !== "remove" && hook.provider === "github") {
+        let access = await verify_source_access(trigger_data, env, request);
+        if (access instanceof Response) {
+            return access;
+        }
     }
-    trigger_data["github_comment_made"] = comment_response["html_url"];
 
-    console.info(
-        comment_response,
-        trigger_data,
-    );
+    // Check the icon, and point the trigger at a copy of it unless
+    // this is a dry run, or queued to be pointed at it when flushed
+    let queue = get_quiet_period(env) > 0 && trigger_data.action !== "release";
+    let icon = await mirror_icon(trigger_data, !dry_run && !queue, env, request);
+
+    // Stop keys and sources from triggering too many builds
+    let counters = await check_trigger_limits(trigger_data, used_key, keys, env, request);
+    if (counters instanceof Response && dry_run && counters.status === 429) {
+        warnings.push("The key or repository has triggered too many builds, and would be rejected as "
+            + "`rate_limited` for " + counters.headers.get("Retry-After") + " more seconds");
+    } else if (counters instanceof Response) {
+        return counters;
+    }
+
+    // Answer pings and dry runs with what the hook would trigger,
+    // without triggering it
+    if (dry_run) {
+        return new Response(JSON.stringify({
+            valid: true,
+            dry_run: true,
+            event: event,
+            delivery: get_delivery(request),
+            key_owner: trigger_data.key_owner,
+            target_repo: trigger_data.target_repo,
+            warnings: warnings.concat(get_param_warnings(url, trigger_data)),
+            trigger: trigger_data,
+        }, null, 4), {headers: {'Content-Type': 'application/json'}});
+    }
+
+    // Wait for bursts of pushes to finish, and only build the last;
+    // releases are one tag each, so there is nothing to coalesce
+    if (queue) {
+        context.trigger = trigger_data;
+        context.queued = true;
+        return queue_trigger(trigger_data, counters, url, hook.digest, env, request);
+    }
+
+    // Trigger the build on AutoRepo
+    let dispatched = await dispatch_trigger(trigger_data, env, request);
+    if (dispatched instanceof Response) {
+        return dispatched;
+    }
+    // Remembered first, so a redelivery is not built again even if
+    // the rest of the bookkeeping fails
+    await record_delivery(env, get_delivery(request), hook.digest, url, trigger_data);
+    context.trigger = trigger_data;
+    await store_icon(trigger_data, icon, env);
+    await count_trigger(counters, env);
+    await record_build(trigger_data, env);
+    await record_entries(trigger_data, env);
 
     // Build response just for testing the worker
-    let response = new Response(JSON.stringify(trigger_data, null, 4));
+    return new Response(JSON.stringify(trigger_data, null, 4));
+}
+
+//region Router
+
+/**
+ * Method to handle a request to /trigger/, /validate/ or
+ * /api/trigger, and report what happened to it in the background
+ * @param handler {function(Request, {}, {}): Promise<Response>}
+ * handle_trigger() or api_trigger_response()
+ * @returns {function(Request, {}, {}): Promise<Response>} The route
+ * handler
+ */
+function trigger_route(handler) {
+    return async (request, env, ctx) => {
+        let context = {key_owner: null, hook: null, trigger: null, queued: false, dry_run: false};
+        // Logged before handling, so failures log what was learned
+        request_logs.get(request).context = context;
+        let response = await handler(request, env, context);
+        ctx.waitUntil(count_outcome(response, env, context));
+        ctx.waitUntil(report_outcome(response, request, env, context));
+        // Dry runs are only seen by whoever sent them
+        if (!context.dry_run) {
+            ctx.waitUntil(notify_discord(response, request, env, context));
+            ctx.waitUntil(record_history(response, request, env, context));
+        }
+
+        return response;
+    };
+}
+
+/**
+ * The worker's routes, matched against the exact pathname, or
+ * anything under it for paths ending in `/*`.
+ * Redirects are added from worker_config().
+ * @type {{path: string, methods: string[], handler: function(Request, {}, {}): Promise<Response>}[]}
+ */
+const routes = [
+    // build (or check) a hook's trigger
+    {path: "/trigger/*", methods: ["POST"], handler: trigger_route(handle_trigger)},
+    {path: "/validate/*", methods: ["POST"], handler: trigger_route(handle_trigger)},
+    // trigger builds from scripts, instead of hooks
+    {path: "/api/trigger", methods: ["POST"], handler: trigger_route(api_trigger_response)},
+    // post the results of builds back to their source commits
+    {
+        path: "/callback",
+        methods: ["POST"],
+        handler: async (request, env, ctx) => {
+            let response = await callback_response(request, env);
+            ctx.waitUntil(notify_discord(response, request, env, {key_owner: null, trigger: null, queued: false}));
+            return response;
+        },
+    },
+    // show the recent triggers of a source repository
+    {path: "/status/*", methods: ["GET"], handler: (request, env) => status_response(request, env)},
+    // serve the mirrored icon of a source repository
+    {path: "/icon/*", methods: ["GET"], handler: (request, env) => icon_response(request, env)},
+    // refresh the cached Keys after they are rotated
+    {path: "/keys/refresh", methods: ["POST"], handler: (request, env) => refresh_keys(request, env)},
+    // count what happened to triggers, for Prometheus
+    {path: "/metrics", methods: ["GET"], handler: (request, env) => metrics_response(request, env)},
+];
+
+/**
+ * Headers browsers are allowed to send in cross-origin requests
+ * @type {string[]}
+ */
+const cors_headers = ["Authorization", "Content-Type", "Idempotency-Key", "X-AutoRepo-Signature"];
+
+/**
+ * Method to find the route for a path, from routes and the
+ * redirects in worker_config()
+ * @param pathname {string} The pathname of the request
+ * @param config {{}} Output from worker_config()
+ * @returns {{path: string, methods: string[], handler: function(Request, {}, {}): Promise<Response>}|null}
+ * The route, or null if there is none
+ */
+function match_route(pathname, config) {
+    for (let route of routes) {
+        let matches = route.path.endsWith("/*")
+            ? pathname === route.path.slice(0, -2) || pathname.startsWith(route.path.slice(0, -1))
+            : pathname === route.path;
+        if (matches) {
+            return route;
+        }
+    }
+
+    let redirect = config.redirects[pathname.replace(/(.)\/+$/, '$1')];
+    if (redirect) {
+        return {
+            path: pathname,
+            methods: ["GET"],
+            handler: async () => Response.redirect(redirect, 301),
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Method to route a request, answering CORS preflights and `HEAD`
+ * requests for any route, and redirecting unknown pages to
+ * Redirect_Root
+ * @param request {Request} The request from the worker
+ * @param env {{}} Environment Variables from worker request
+ * @param ctx {{}} The context of the request
+ * @returns {Promise<Response>} The response to the request
+ */
+async function handleRequest(request, env, ctx) {
+    // Refuse to run with broken settings
+    let config = worker_config(env);
+    if (config.problems.length > 0) {
+        return error_response(request, "invalid_worker_config", config.problems);
+    }
+
+    let route = match_route(new URL(request.url).pathname, config);
+    if (route === null) {
+        if (request.method === 'GET' || request.method === 'HEAD') {
+            return Response.redirect(config.redirects["/"], 301);
+        }
+        return error_response(request, "no_route");
+    }
+
+    let methods = route.methods.includes("GET") ? route.methods.concat("HEAD") : route.methods;
+    let origin = request.headers.get('Origin');
+    if (request.method === 'OPTIONS') {
+        let headers = {'Allow': methods.concat("OPTIONS").join(", ")};
+        if (origin !== null) {
+            headers['Access-Control-Allow-Origin'] = origin;
+            headers['Access-Control-Allow-Methods'] = methods.join(", ");
+            headers['Access-Control-Allow-Headers'] = cors_headers.join(", ");
+            headers['Access-Control-Max-Age'] = "86400";
+            headers['Vary'] = "Origin";
+        }
+        return new Response(null, {status: 204, headers: headers});
+    }
+    if (!methods.includes(request.method)) {
+        return new Response(null, {
+            status: 405,
+            statusText: 'Method Not Allowed',
+            headers: {'Allow': methods.concat("OPTIONS").join(", ")},
+        });
+    }
+
+    // HEAD is answered like GET, without the body
+    let response = await route.handler(request, env, ctx);
+    // Copied, as redirects' headers cannot be changed
+    response = new Response(request.method === 'HEAD' ? null : response.body, response);
 
     // Set CORS headers
-    response.headers.set(
-        'Access-Control-Allow-Origin',
-        request.headers.get('Origin')
-    );
-    // Append to/Add Vary header so browser will cache response correctly
-    response.headers.append('Vary', 'Origin');
+    if (origin !== null) {
+        response.headers.set('Access-Control-Allow-Origin', origin);
+        // Append to/Add Vary header so browser will cache response correctly
+        response.headers.append('Vary', 'Origin');
+    }
 
     return response;
 }
 
-//region Router
 export default {
-    async fetch(request, env) {
-        if (request.method === 'GET' || request.method === 'POST') {
-            // Handle requests to the API server
-            return handleRequest(request, env);
-        } else {
-            return new Response(null, {
-                status: 405,
-                statusText: 'Method Not Allowed',
-            });
+    async fetch(request, env, ctx) {
+        let log = start_request_log(request);
+        // Handle requests to the API server
+        let response;
+        try {
+            response = await handleRequest(request, env, ctx);
+        } catch (e) {
+            // Still answered as JSON, and logged with the request id
+            log.error = e.stack || String(e);
+            response = error_response(request, "internal_error");
         }
+
+        // Copied, as redirects' headers cannot be changed
+        response = new Response(response.body, response);
+        response.headers.set('X-Request-Id', log.request_id);
+        write_request_log(log, response, request);
+
+        return response;
+    },
+
+    async scheduled(event, env, ctx) {
+        // Build the pushes that were coalesced, Coalesce_Seconds
+        ctx.waitUntil(flush_queue(env, ctx));
     }
 }
 //endregion